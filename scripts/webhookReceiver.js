@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Webhook Receiver
+ * Local stand-in endpoint for testing Shelf webhooks; logs each event and checks its signature
+ * Usage: WEBHOOK_SECRET=secret node scripts/webhookReceiver.js [--port 4000] [--fail 500]
+ * Then run Shelf with WEBHOOK_URLS=http://localhost:4000/ and the same WEBHOOK_SECRET
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const port = parseInt(getArg('--port', '4000'));
+const failStatus = parseInt(getArg('--fail', '0')); // Respond with this status to exercise retries
+const secret = process.env.WEBHOOK_SECRET || '';
+
+function verifySignature(body, header) {
+    if (!secret) {
+        return 'not checked (WEBHOOK_SECRET not set)';
+    }
+    if (!header) {
+        return 'MISSING';
+    }
+
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    const valid = expected.length === header.length &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(header));
+    return valid ? 'valid' : 'INVALID';
+}
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const signature = verifySignature(body, req.headers['x-shelf-signature']);
+
+        console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+        console.log(`Event: ${req.headers['x-shelf-event']}  Delivery: ${req.headers['x-shelf-delivery']}  Signature: ${signature}`);
+
+        try {
+            console.log(JSON.stringify(JSON.parse(body), null, 2));
+        } catch {
+            console.log(body);
+        }
+
+        res.writeHead(failStatus || 204);
+        res.end();
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}/`);
+    if (failStatus) {
+        console.log(`Responding ${failStatus} to every request`);
+    }
+});
@@ -12,10 +12,12 @@ import cachedDb from './services/cachedDbService.js';
 import cleanJsonData from './database/cleanJsonData.js';
 import imageService from './services/imageService.js';
 import * as socketCodes from './common/socketCodes.js';
+import { getArtistNames } from './common/artistCredits.js';
 import recordsRouter from './routes/records.js';
 import boardGamesRouter from './routes/boardGames.js';
 import booksRouter from './routes/books.js';
 import apiRouter from './routes/api.js';
+import adminRouter from './routes/admin.js';
 import syncService from './services/syncService.js';
 
 // ES module __dirname equivalent
@@ -106,6 +108,7 @@ class ShelfApp {
         this.app.use('/record', recordsRouter); // Also mount records at /record for wishlist URL
         this.app.use('/game', boardGamesRouter);
         this.app.use('/book', booksRouter);
+        this.app.use('/admin', adminRouter);
 
         // Health check endpoint
         this.app.get('/health', (req, res) => {
@@ -232,9 +235,33 @@ class ShelfApp {
             });
         });
 
+        // Broadcast sync progress to every connected client
+        syncService.on('progress', (progress) => {
+            this.setSyncInProgress(progress.service, true);
+            this.io.emit(socketCodes.SYNC_PROGRESS, progress);
+        });
+
+        syncService.on('complete', (result) => {
+            this.setSyncInProgress(result.service, false);
+            this.io.emit(socketCodes.SYNC_COMPLETE, result);
+        });
+
+        syncService.on('failed', (result) => {
+            this.setSyncInProgress(result.service, false);
+            this.io.emit(socketCodes.SYNC_ERROR, result);
+        });
+
         console.log('Socket.IO server initialized');
     }
 
+    setSyncInProgress(service, inProgress) {
+        if (service === 'discogs') {
+            this.syncStatus.recordsInProgress = inProgress;
+        } else if (service === 'boardgamegeek') {
+            this.syncStatus.boardGamesInProgress = inProgress;
+        }
+    }
+
     transformRecordsForClient(records) {
         // Transform database records to match frontend expectations
         return records.map(record => ({
@@ -242,6 +269,7 @@ class ShelfApp {
             id: record.id,
             artist: record.artist,
             sortArtist: record.sort_artist || record.artist,
+            artistNames: getArtistNames(this.safeJsonParse(record.artists, [])),
             title: record.title,
             yearOfOriginalRelease: record.year_of_original_release,
             yearOfRelease: record.year_of_release,
@@ -324,6 +352,7 @@ class ShelfApp {
         }
 
         try {
+            // Cancels any running sync through the same path as POST /api/sync/cancel
             await syncService.stop();
             await cachedDb.close(); // This will also shutdown cache and close db
             console.log('Shutdown complete');
@@ -0,0 +1,57 @@
+/**
+ * Discogs Artist Credits
+ * A release credits its artists in order, each with an optional name variation (ANV)
+ * as printed on the release and a join phrase linking it to the next, e.g. "&" or "Feat."
+ */
+
+/**
+ * Drop the number Discogs adds to tell artists of the same name apart, e.g. "Prince (2)"
+ */
+export const cleanArtistName = (name) => (name || '').replace(/\s+\(\d+\)$/, '').trim();
+
+/**
+ * The stored credit for a Discogs artists array, in release order
+ * @param {Array} artists - Discogs artists, { id, name, anv, join }
+ * @returns {Array} - [{ id, name, anv, join }] with disambiguators removed
+ */
+export const parseArtistCredits = (artists) => (artists || [])
+    .filter(artist => artist.name)
+    .map(artist => ({
+        id: artist.id ? artist.id.toString() : null,
+        name: cleanArtistName(artist.name),
+        anv: cleanArtistName(artist.anv) || null,
+        join: (artist.join || '').trim()
+    }));
+
+// Discogs joins with a bare comma, or leaves the join empty between split artists
+const joinPhrase = (join) => !join || join === ',' ? ', ' : ` ${join} `;
+
+const joinCredits = (credits, nameOf) => credits
+    .map((credit, index) => index < credits.length - 1 ? nameOf(credit, index) + joinPhrase(credit.join) : nameOf(credit, index))
+    .join('');
+
+/**
+ * The credit as printed on the release, e.g. "Prince And The Revolution"
+ * @param {Array} credits - From parseArtistCredits
+ */
+export const formatArtistCredit = (credits) => credits.length === 0
+    ? 'Unknown Artist'
+    : joinCredits(credits, credit => credit.anv || credit.name);
+
+/**
+ * Sort key for a credit: artists by their Discogs name rather than the variation printed
+ * on the release, so all of an artist's records sit together, with a leading "The" moved
+ * to the end of the first name, e.g. "Beatles, The With Billy Preston"
+ * @param {Array} credits - From parseArtistCredits
+ */
+export const getSortArtist = (credits) => credits.length === 0
+    ? 'Unknown Artist'
+    : joinCredits(credits, (credit, index) => index === 0 && credit.name.toLowerCase().startsWith('the ')
+        ? `${credit.name.substring(4)}, The`
+        : credit.name);
+
+/**
+ * Every name a record's artists go by, for search
+ * @param {Array} credits - From parseArtistCredits
+ */
+export const getArtistNames = (credits) => [...new Set((credits || []).flatMap(credit => [credit.name, credit.anv].filter(Boolean)))];
@@ -0,0 +1,20 @@
+/**
+ * BoardGameGeek Collection Statuses
+ * The personal statuses BGG keeps on each collection entry and the wishlist priorities, most wanted first
+ */
+
+export const WISHLIST_PRIORITIES = [
+    { priority: 1, name: 'Must have' },
+    { priority: 2, name: 'Love to have' },
+    { priority: 3, name: 'Like to have' },
+    { priority: 4, name: 'Thinking about it' },
+    { priority: 5, name: "Don't buy this" }
+];
+
+// Board game shelves besides the collection and wishlist, each holding the games with a status column set
+// filter is the /collection query parameter and status the <status> attribute, which differ for trade
+export const STATUS_SHELVES = [
+    { slug: 'for-trade', name: 'For Trade', column: 'for_trade', filter: 'trade', status: 'fortrade' },
+    { slug: 'previously-owned', name: 'Previously Owned', column: 'previously_owned', filter: 'prevowned', status: 'prevowned' },
+    { slug: 'preordered', name: 'Pre-ordered', column: 'preordered', filter: 'preordered', status: 'preordered' }
+];
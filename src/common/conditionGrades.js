@@ -0,0 +1,61 @@
+/**
+ * Goldmine Condition Grades
+ * The media and sleeve grades Discogs offers, best first, as they appear in collection fields
+ */
+
+export const CONDITION_GRADES = [
+    { grade: 'M', name: 'Mint (M)', rank: 8 },
+    { grade: 'NM', name: 'Near Mint (NM or M-)', aliases: ['M-'], rank: 7 },
+    { grade: 'VG+', name: 'Very Good Plus (VG+)', rank: 6 },
+    { grade: 'VG', name: 'Very Good (VG)', rank: 5 },
+    { grade: 'G+', name: 'Good Plus (G+)', rank: 4 },
+    { grade: 'G', name: 'Good (G)', rank: 3 },
+    { grade: 'F', name: 'Fair (F)', rank: 2 },
+    { grade: 'P', name: 'Poor (P)', rank: 1 }
+];
+
+/**
+ * Look up a grade by its Discogs name or abbreviation, e.g. 'Very Good Plus (VG+)' or 'vg+'
+ * Sleeve values without a grade (Generic, No Cover, Not Graded) return null
+ * @param {string|null} value
+ * @returns {Object|null} - Entry of CONDITION_GRADES
+ */
+export const getConditionGrade = (value) => {
+    const normalized = (value || '').trim().toUpperCase();
+    if (!normalized) {
+        return null;
+    }
+
+    return CONDITION_GRADES.find(grade =>
+        grade.grade === normalized ||
+        grade.name.toUpperCase() === normalized ||
+        (grade.aliases || []).includes(normalized)
+    ) || null;
+};
+
+/**
+ * Whether a graded value is at least as good as the minimum grade
+ * Ungraded values never meet a minimum
+ */
+export const meetsCondition = (value, minimum) => {
+    const grade = getConditionGrade(value);
+    const minimumGrade = getConditionGrade(minimum);
+    return Boolean(grade && minimumGrade && grade.rank >= minimumGrade.rank);
+};
+
+/**
+ * Every spelling getConditionGrade accepts, upper case, of the grades at least as good as the minimum
+ * Lets SQL apply the same test as meetsCondition
+ * @param {string} minimum - Grade name or abbreviation
+ * @returns {Array<string>}
+ */
+export const getConditionValues = (minimum) => {
+    const minimumGrade = getConditionGrade(minimum);
+    if (!minimumGrade) {
+        return [];
+    }
+
+    return CONDITION_GRADES
+        .filter(grade => grade.rank >= minimumGrade.rank)
+        .flatMap(grade => [grade.grade, grade.name.toUpperCase(), ...(grade.aliases || [])]);
+};
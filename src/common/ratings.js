@@ -0,0 +1,51 @@
+/**
+ * Personal Ratings
+ * The owner's own rating of an item: 1 to 5 stars on Discogs, 1 to 10 on BoardGameGeek
+ * Unrated items have a null user_rating
+ */
+
+export const RATING_SCALES = {
+    records: 5,
+    board_games: 10
+};
+
+// DECIMAL columns come back from pg as strings
+const toRating = (value) => value === null || value === undefined ? null : Number(value);
+
+/**
+ * Why the minRating and sort query parameters can't be used, if they can't
+ * @param {Object} query - Request query
+ * @param {number} maxRating - Top of the item's rating scale
+ * @returns {string|null} - Error message
+ */
+export const getRatingQueryError = ({ minRating, sort }, maxRating) => {
+    if (minRating !== undefined && minRating !== '') {
+        const rating = Number(minRating);
+        if (isNaN(rating) || rating < 1 || rating > maxRating) {
+            return `minRating must be between 1 and ${maxRating}`;
+        }
+    }
+    if (sort !== undefined && sort !== 'rating') {
+        return `Unknown sort: ${sort}`;
+    }
+    return null;
+};
+
+/**
+ * Items rated at least minRating, or all items without one
+ * @param {Array} items - Rows with user_rating
+ */
+export const filterByRating = (items, minRating) => {
+    if (minRating === undefined || minRating === '') {
+        return items;
+    }
+    return items.filter(item => toRating(item.user_rating) >= Number(minRating));
+};
+
+/**
+ * Highest rated first and unrated last, keeping the existing order among equal ratings
+ * @param {Array} items - Rows with user_rating
+ */
+export const sortByRating = (items) => [...items].sort((a, b) =>
+    (toRating(b.user_rating) ?? 0) - (toRating(a.user_rating) ?? 0)
+);
@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import os from 'os';
 
 // Load environment variables
 dotenv.config();
@@ -27,21 +28,40 @@ const config = {
     features: {
         recordsEnabled: process.env.RECORD_SHELF_ENABLED !== 'false',
         boardGamesEnabled: process.env.BOARDGAME_SHELF_ENABLED !== 'false',
-        booksEnabled: process.env.BOOK_SHELF_ENABLED === 'true' // Disabled by default
+        booksEnabled: process.env.BOOK_SHELF_ENABLED === 'true', // Disabled by default
+        // Stars for the owner's rating on record cards
+        showRatingStars: process.env.SHOW_RATING_STARS !== 'false'
     },
     
     // External API configuration
     discogs: {
         userId: process.env.DISCOGS_USER_ID || '',
+        // Personal access token; deployments can instead connect an account with OAuth from /admin/discogs
         token: process.env.DISCOGS_USER_TOKEN || '',
+        consumerKey: process.env.DISCOGS_CONSUMER_KEY || '',
+        consumerSecret: process.env.DISCOGS_CONSUMER_SECRET || '',
         baseUrl: 'https://api.discogs.com',
-        userAgent: process.env.USER_AGENT || 'Shelf/2.0 +https://github.com/shelf'
+        authorizeUrl: 'https://www.discogs.com/oauth/authorize',
+        userAgent: process.env.USER_AGENT || 'Shelf/2.0 +https://github.com/shelf',
+        // Periodic syncs only fetch newly added releases; a full re-crawl runs on this slower cadence
+        fullSyncIntervalMs: parseInt(process.env.DISCOGS_FULL_SYNC_INTERVAL_IN_HOURS || '24') * 60 * 60 * 1000,
+        // Comma separated collection folder names or IDs shown as sub-shelves, * for all; none by default
+        publicFolders: (process.env.DISCOGS_PUBLIC_FOLDERS || '').split(',').map(folder => folder.trim().toLowerCase()).filter(Boolean),
+        // Comma separated collection field names shown on records, * for all; custom fields are private by default
+        publicFields: (process.env.DISCOGS_PUBLIC_FIELDS ?? 'Media Condition,Sleeve Condition').split(',').map(field => field.trim().toLowerCase()).filter(Boolean),
+        // Marketplace prices are looked up one release per request, so each is only re-checked after this long
+        priceRefreshIntervalMs: parseInt(process.env.DISCOGS_PRICE_REFRESH_INTERVAL_IN_DAYS || '7') * 24 * 60 * 60 * 1000
     },
     
     boardGameGeek: {
         userId: process.env.BOARDGAMEGEEK_USER_ID || '',
         baseUrl: 'https://boardgamegeek.com/xmlapi2',
-        userAgent: process.env.USER_AGENT || 'Shelf/2.0 +https://github.com/shelf'
+        userAgent: process.env.USER_AGENT || 'Shelf/2.0 +https://github.com/shelf',
+        // BGG answers 202 while it prepares a collection; ask again this many times, doubling the wait from queuedRetryDelayMs
+        queuedMaxAttempts: parseInt(process.env.BOARDGAMEGEEK_QUEUED_MAX_ATTEMPTS || '6'),
+        queuedRetryDelayMs: parseInt(process.env.BOARDGAMEGEEK_QUEUED_RETRY_DELAY_IN_SECONDS || '5') * 1000,
+        // Syncs in between only fetch recent plays, a full play log sync also drops plays deleted on BGG
+        fullPlaySyncIntervalMs: parseInt(process.env.BOARDGAMEGEEK_FULL_PLAY_SYNC_INTERVAL_IN_HOURS || '24') * 60 * 60 * 1000
     },
     
     // API settings
@@ -49,7 +69,34 @@ const config = {
         requestTimeoutMs: parseInt(process.env.REQUEST_TIMEOUT_IN_SECONDS || '5') * 1000,
         refreshFrequencyMs: parseInt(process.env.REFRESH_FREQUENCY_IN_MINUTES || '15') * 60 * 1000,
         maxArtSize: parseInt(process.env.MAX_ART_SIZE || '400'),
-        rateLimitDelay: 1000 // 1 second between API calls
+        rateLimitDelay: 1000, // 1 second between API calls when the API reports no rate limit budget
+        // Attempts per request when throttled (429), on server errors or network failures
+        maxAttempts: parseInt(process.env.API_MAX_ATTEMPTS || '5')
+    },
+
+    // Outbound webhooks for sync and collection changes
+    webhooks: {
+        urls: (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+        secret: process.env.WEBHOOK_SECRET || '',
+        // Comma separated event names to send, or every event when empty
+        events: (process.env.WEBHOOK_EVENTS || '').split(',').map(event => event.trim()).filter(Boolean),
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5'),
+        timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_IN_SECONDS || '10') * 1000
+    },
+
+    // Admin pages and APIs use HTTP basic auth, and are turned off until both are set
+    admin: {
+        username: process.env.ADMIN_USERNAME || '',
+        password: process.env.ADMIN_PASSWORD || '',
+        // Encrypts service credentials stored in the database, e.g. the Discogs OAuth token
+        encryptionKey: process.env.SHELF_ENCRYPTION_KEY || ''
+    },
+
+    // Sync locking across processes sharing the database
+    sync: {
+        instanceId: process.env.SHELF_INSTANCE_ID || `${os.hostname()}:${process.pid}`,
+        // A lock not renewed within this time is treated as left behind by a crashed process
+        lockTtlMs: parseInt(process.env.SYNC_LOCK_TTL_IN_SECONDS || '120') * 1000
     },
     
     // Logging
@@ -68,12 +115,24 @@ const config = {
 const validateConfig = () => {
     const errors = [];
     
-    if (config.features.recordsEnabled && !config.discogs.userId) {
-        errors.push('DISCOGS_USER_ID is required when records are enabled');
+    // An account connected with OAuth supplies both the token and the user
+    const discogsOAuthEnabled = Boolean(config.discogs.consumerKey && config.discogs.consumerSecret);
+
+    if (config.features.recordsEnabled && !config.discogs.userId && !discogsOAuthEnabled) {
+        errors.push('DISCOGS_USER_ID is required when records are enabled without Discogs OAuth');
     }
     
-    if (config.features.recordsEnabled && !config.discogs.token) {
-        errors.push('DISCOGS_USER_TOKEN is required when records are enabled');
+    if (config.features.recordsEnabled && !config.discogs.token && !discogsOAuthEnabled) {
+        errors.push('DISCOGS_USER_TOKEN, or DISCOGS_CONSUMER_KEY and DISCOGS_CONSUMER_SECRET, are required when records are enabled');
+    }
+
+    if (discogsOAuthEnabled && !config.admin.encryptionKey) {
+        errors.push('SHELF_ENCRYPTION_KEY is required to store Discogs OAuth credentials');
+    }
+
+    // The account is connected from /admin/discogs, which doesn't exist without admin credentials
+    if (discogsOAuthEnabled && !(config.admin.username && config.admin.password)) {
+        errors.push('ADMIN_USERNAME and ADMIN_PASSWORD are required to connect Discogs with OAuth');
     }
     
     if (config.features.boardGamesEnabled && !config.boardGameGeek.userId) {
@@ -57,6 +57,30 @@ class Database {
         }
     }
 
+    /**
+     * Run queries on one client inside a transaction, rolling back if the callback throws
+     * @param {Function} callback - Receives the client, use client.query for each statement
+     * @returns {Promise<*>} - The callback's result
+     */
+    async transaction(callback) {
+        if (!this.pool) {
+            await this.connect();
+        }
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await callback(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
     async migrate() {
         console.log('Running database migrations...');
         
@@ -0,0 +1,18 @@
+-- Migration: Track sync mode and successful sync times
+-- Incremental Discogs syncs only fetch releases added since the last successful sync
+
+ALTER TABLE sync_status
+ADD COLUMN IF NOT EXISTS last_successful_sync_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS last_full_sync_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS last_sync_mode VARCHAR(20);
+
+COMMENT ON COLUMN sync_status.last_successful_sync_at IS 'Start time of the last sync that completed without error';
+COMMENT ON COLUMN sync_status.last_full_sync_at IS 'Start time of the last successful full reconciliation';
+COMMENT ON COLUMN sync_status.last_sync_mode IS 'Mode of the most recent sync: full or incremental';
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 002_add_incremental_sync completed successfully';
+END
+$$;
@@ -0,0 +1,39 @@
+-- Migration: Add persisted sync run history
+-- Each sync attempt records its timing, counts and item-level failures
+
+CREATE TABLE IF NOT EXISTS sync_runs (
+    id SERIAL PRIMARY KEY,
+    service VARCHAR(50) NOT NULL,
+    mode VARCHAR(20),
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    items_fetched INTEGER DEFAULT 0,
+    items_inserted INTEGER DEFAULT 0,
+    items_updated INTEGER DEFAULT 0,
+    items_failed INTEGER DEFAULT 0,
+    items_removed INTEGER DEFAULT 0,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS sync_run_items (
+    id SERIAL PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES sync_runs(id) ON DELETE CASCADE,
+    external_id VARCHAR(50),
+    title VARCHAR(500),
+    outcome VARCHAR(20) NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_service ON sync_runs (service, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_run_items_run ON sync_run_items (run_id);
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 003_add_sync_runs completed successfully';
+END
+$$;
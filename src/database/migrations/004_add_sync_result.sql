@@ -0,0 +1,14 @@
+-- Migration: Track how the last sync of each service ended
+-- Cancelled syncs are recorded separately from failures
+
+ALTER TABLE sync_status
+ADD COLUMN IF NOT EXISTS last_sync_result VARCHAR(20);
+
+COMMENT ON COLUMN sync_status.last_sync_result IS 'Outcome of the most recent sync: completed, failed or cancelled';
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 004_add_sync_result completed successfully';
+END
+$$;
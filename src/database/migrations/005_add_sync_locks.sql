@@ -0,0 +1,17 @@
+-- Migration: Per-service sync locks shared by every process using the database
+-- Locks expire unless renewed, so a crashed process can't block syncs forever
+
+ALTER TABLE sync_status
+ADD COLUMN IF NOT EXISTS locked_by VARCHAR(255),
+ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS lock_expires_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN sync_status.locked_by IS 'Instance ID of the process currently syncing this service';
+COMMENT ON COLUMN sync_status.lock_expires_at IS 'When the lock may be taken over if its holder stops renewing it';
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 005_add_sync_locks completed successfully';
+END
+$$;
@@ -0,0 +1,26 @@
+-- Migration: Log outbound webhook deliveries
+-- Each event sent to each endpoint records its attempts and final outcome
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    event_id VARCHAR(36) NOT NULL,
+    event VARCHAR(50) NOT NULL,
+    url TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    response_status INTEGER,
+    error_message TEXT,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_event ON webhook_deliveries (event, created_at DESC);
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 006_add_webhook_deliveries completed successfully';
+END
+$$;
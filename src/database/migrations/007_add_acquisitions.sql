@@ -0,0 +1,25 @@
+-- Migration: Track wishlist items that move into the collection
+-- Records when each item was wishlisted, acquired and left the wishlist
+
+CREATE TABLE IF NOT EXISTS acquisitions (
+    id SERIAL PRIMARY KEY,
+    service VARCHAR(50) NOT NULL,
+    external_id VARCHAR(50) NOT NULL,
+    title VARCHAR(500),
+    artist VARCHAR(500),
+    wishlisted_at TIMESTAMP WITH TIME ZONE,
+    acquired_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    left_wishlist_at TIMESTAMP WITH TIME ZONE,
+    days_on_wishlist INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_acquisitions_acquired ON acquisitions (service, acquired_at DESC);
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 007_add_acquisitions completed successfully';
+END
+$$;
@@ -0,0 +1,22 @@
+-- Migration: Field-level change history for shelf items
+-- Each sync records what changed per item, with a snapshot for rebuilding past shelves
+
+CREATE TABLE IF NOT EXISTS item_history (
+    id SERIAL PRIMARY KEY,
+    item_table VARCHAR(50) NOT NULL,
+    external_id VARCHAR(50) NOT NULL,
+    change_type VARCHAR(20) NOT NULL,
+    changes JSONB,
+    snapshot JSONB,
+    run_id INTEGER,
+    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_history_item ON item_history (item_table, external_id, recorded_at DESC);
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 008_add_item_history completed successfully';
+END
+$$;
@@ -0,0 +1,62 @@
+-- Migration: Full Discogs release details for records
+-- Tracklist, credits, identifiers and labels, fetched once per release
+
+CREATE TABLE IF NOT EXISTS record_details (
+    id SERIAL PRIMARY KEY,
+    release_id VARCHAR(50) NOT NULL UNIQUE, -- Discogs release ID, records.external_id
+    notes TEXT,
+    fetched_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS record_tracks (
+    id SERIAL PRIMARY KEY,
+    release_id VARCHAR(50) NOT NULL,
+    position VARCHAR(20),
+    track_type VARCHAR(20), -- track, heading, index
+    title VARCHAR(500),
+    duration VARCHAR(20), -- as listed on Discogs, e.g. 3:45
+    sort_order INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS record_credits (
+    id SERIAL PRIMARY KEY,
+    release_id VARCHAR(50) NOT NULL,
+    artist_id VARCHAR(50), -- Discogs artist ID
+    name VARCHAR(500) NOT NULL,
+    anv VARCHAR(500), -- artist name variation as credited on this release
+    role VARCHAR(500),
+    tracks VARCHAR(500), -- track positions the credit applies to, empty for the whole release
+    sort_order INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS record_identifiers (
+    id SERIAL PRIMARY KEY,
+    release_id VARCHAR(50) NOT NULL,
+    type VARCHAR(100) NOT NULL, -- Barcode, Matrix / Runout, Rights Society...
+    value VARCHAR(500),
+    description VARCHAR(500),
+    sort_order INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS record_labels (
+    id SERIAL PRIMARY KEY,
+    release_id VARCHAR(50) NOT NULL,
+    label_id VARCHAR(50), -- Discogs label ID
+    name VARCHAR(300) NOT NULL,
+    catalog_number VARCHAR(100),
+    sort_order INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_record_tracks_release ON record_tracks (release_id);
+CREATE INDEX IF NOT EXISTS idx_record_credits_release ON record_credits (release_id);
+CREATE INDEX IF NOT EXISTS idx_record_identifiers_release ON record_identifiers (release_id);
+CREATE INDEX IF NOT EXISTS idx_record_labels_release ON record_labels (release_id);
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 009_add_record_details completed successfully';
+END
+$$;
\ No newline at end of file
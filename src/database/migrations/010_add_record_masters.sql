@@ -0,0 +1,23 @@
+-- Migration: Discogs master releases for records
+-- Original release years come from the master, and pressings of one album share a master_id
+
+ALTER TABLE records ADD COLUMN IF NOT EXISTS master_id VARCHAR(50);
+CREATE INDEX IF NOT EXISTS idx_records_master ON records (master_id);
+
+CREATE TABLE IF NOT EXISTS record_masters (
+    id SERIAL PRIMARY KEY,
+    master_id VARCHAR(50) NOT NULL UNIQUE, -- Discogs master ID, records.master_id
+    title VARCHAR(500),
+    year INTEGER, -- original release year of the album
+    main_release_id VARCHAR(50),
+    fetched_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 010_add_record_masters completed successfully';
+END
+$$;
\ No newline at end of file
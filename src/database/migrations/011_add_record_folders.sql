@@ -0,0 +1,22 @@
+-- Migration: Discogs collection folders as record sub-shelves
+-- Records list the folders holding a copy, folders are replaced on every sync
+
+ALTER TABLE records ADD COLUMN IF NOT EXISTS folder_ids JSONB DEFAULT '[]';
+CREATE INDEX IF NOT EXISTS idx_records_folders ON records USING GIN (folder_ids);
+
+CREATE TABLE IF NOT EXISTS record_folders (
+    id SERIAL PRIMARY KEY,
+    folder_id INTEGER NOT NULL UNIQUE, -- Discogs folder ID
+    name VARCHAR(300) NOT NULL,
+    slug VARCHAR(300) NOT NULL UNIQUE, -- URL name, /record/folder/<slug>
+    record_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 011_add_record_folders completed successfully';
+END
+$$;
\ No newline at end of file
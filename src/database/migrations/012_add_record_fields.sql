@@ -0,0 +1,13 @@
+-- Migration: Discogs collection fields on records
+-- Media and sleeve condition plus the user's custom collection fields
+
+ALTER TABLE records ADD COLUMN IF NOT EXISTS media_condition VARCHAR(100);
+ALTER TABLE records ADD COLUMN IF NOT EXISTS sleeve_condition VARCHAR(100);
+ALTER TABLE records ADD COLUMN IF NOT EXISTS custom_fields JSONB DEFAULT '{}';
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 012_add_record_fields completed successfully';
+END
+$$;
\ No newline at end of file
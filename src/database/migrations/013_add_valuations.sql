@@ -0,0 +1,35 @@
+-- Migration: Collection valuation history and record marketplace prices
+
+-- Discogs collection value after each records sync, in the user's Discogs currency
+CREATE TABLE IF NOT EXISTS collection_valuations (
+    id SERIAL PRIMARY KEY,
+    minimum DECIMAL(12,2),
+    median DECIMAL(12,2),
+    maximum DECIMAL(12,2),
+    currency VARCHAR(10), -- symbol as Discogs formats it, e.g. $
+    record_count INTEGER,
+    run_id INTEGER,
+    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Lowest Discogs marketplace price per release, re-checked after DISCOGS_PRICE_REFRESH_INTERVAL_IN_DAYS
+CREATE TABLE IF NOT EXISTS record_prices (
+    id SERIAL PRIMARY KEY,
+    release_id VARCHAR(50) NOT NULL UNIQUE, -- Discogs release ID, records.external_id
+    lowest_price DECIMAL(12,2), -- null when no copy is for sale
+    currency VARCHAR(10),
+    num_for_sale INTEGER,
+    blocked_from_sale BOOLEAN DEFAULT FALSE,
+    checked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_collection_valuations_recorded ON collection_valuations (recorded_at DESC);
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 013_add_valuations completed successfully';
+END
+$$;
\ No newline at end of file
@@ -0,0 +1,13 @@
+-- Migration: Full Discogs artist credits on records
+-- Every credited artist in order with name variations and join phrases, instead of only the first
+
+ALTER TABLE records ADD COLUMN IF NOT EXISTS artists JSONB DEFAULT '[]';
+
+CREATE INDEX IF NOT EXISTS idx_records_artists ON records USING GIN (artists);
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 014_add_record_artists completed successfully';
+END
+$$;
\ No newline at end of file
@@ -0,0 +1,28 @@
+-- Migration: Discogs OAuth credentials
+-- Encrypted access token of the connected Discogs account and pending OAuth request tokens
+
+CREATE TABLE IF NOT EXISTS service_credentials (
+    id SERIAL PRIMARY KEY,
+    service VARCHAR(50) NOT NULL UNIQUE,
+    username VARCHAR(200),
+    access_token TEXT NOT NULL,
+    access_token_secret TEXT NOT NULL,
+    connected_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS oauth_request_tokens (
+    id SERIAL PRIMARY KEY,
+    service VARCHAR(50) NOT NULL,
+    token VARCHAR(200) NOT NULL UNIQUE,
+    token_secret TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 015_add_service_credentials completed successfully';
+END
+$$;
\ No newline at end of file
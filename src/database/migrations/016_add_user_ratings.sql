@@ -0,0 +1,12 @@
+-- Migration: Personal ratings
+-- The owner's Discogs star rating of records and BoardGameGeek rating of board games
+
+ALTER TABLE records ADD COLUMN IF NOT EXISTS user_rating SMALLINT;
+ALTER TABLE board_games ADD COLUMN IF NOT EXISTS user_rating DECIMAL(3,1);
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 016_add_user_ratings completed successfully';
+END
+$$;
\ No newline at end of file
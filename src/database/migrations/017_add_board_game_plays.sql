@@ -0,0 +1,40 @@
+-- Migration: BoardGameGeek play log
+-- Logged plays with their players, for play counts and statistics
+
+CREATE TABLE IF NOT EXISTS board_game_plays (
+    id SERIAL PRIMARY KEY,
+    play_id VARCHAR(50) NOT NULL UNIQUE,
+    game_id VARCHAR(50) NOT NULL,
+    game_name VARCHAR(500),
+    played_on DATE,
+    quantity INTEGER DEFAULT 1,
+    length_minutes INTEGER,
+    location VARCHAR(500),
+    incomplete BOOLEAN DEFAULT FALSE,
+    comments TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS board_game_play_players (
+    id SERIAL PRIMARY KEY,
+    play_id VARCHAR(50) NOT NULL,
+    username VARCHAR(200),
+    name VARCHAR(300),
+    score VARCHAR(50),
+    win BOOLEAN DEFAULT FALSE,
+    color VARCHAR(100),
+    start_position VARCHAR(50),
+    sort_order INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_board_game_plays_game ON board_game_plays (game_id);
+CREATE INDEX IF NOT EXISTS idx_board_game_plays_played_on ON board_game_plays (played_on);
+CREATE INDEX IF NOT EXISTS idx_board_game_play_players_play ON board_game_play_players (play_id);
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 017_add_board_game_plays completed successfully';
+END
+$$;
\ No newline at end of file
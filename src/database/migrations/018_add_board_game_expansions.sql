@@ -0,0 +1,12 @@
+-- Migration: Board game expansions
+-- Marks expansions and links them to their base games so they can be shown under them
+
+ALTER TABLE board_games ADD COLUMN IF NOT EXISTS is_expansion BOOLEAN DEFAULT FALSE;
+ALTER TABLE board_games ADD COLUMN IF NOT EXISTS base_game_ids JSONB DEFAULT '[]';
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 018_add_board_game_expansions completed successfully';
+END
+$$;
\ No newline at end of file
@@ -0,0 +1,16 @@
+-- Migration: Board game credits and play time range
+-- Designers, publishers, artists and families from BGG /thing links, and the min and max play time
+
+ALTER TABLE board_games ADD COLUMN IF NOT EXISTS min_playing_time INTEGER;
+ALTER TABLE board_games ADD COLUMN IF NOT EXISTS max_playing_time INTEGER;
+ALTER TABLE board_games ADD COLUMN IF NOT EXISTS designers JSONB DEFAULT '[]';
+ALTER TABLE board_games ADD COLUMN IF NOT EXISTS publishers JSONB DEFAULT '[]';
+ALTER TABLE board_games ADD COLUMN IF NOT EXISTS artists JSONB DEFAULT '[]';
+ALTER TABLE board_games ADD COLUMN IF NOT EXISTS families JSONB DEFAULT '[]';
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 019_add_board_game_credits completed successfully';
+END
+$$;
\ No newline at end of file
@@ -0,0 +1,18 @@
+-- Migration: BoardGameGeek collection statuses
+-- The owner's personal statuses, wishlist priority and comment on each BGG collection entry
+
+ALTER TABLE board_games ADD COLUMN IF NOT EXISTS previously_owned BOOLEAN DEFAULT FALSE;
+ALTER TABLE board_games ADD COLUMN IF NOT EXISTS for_trade BOOLEAN DEFAULT FALSE;
+ALTER TABLE board_games ADD COLUMN IF NOT EXISTS want_in_trade BOOLEAN DEFAULT FALSE;
+ALTER TABLE board_games ADD COLUMN IF NOT EXISTS want_to_play BOOLEAN DEFAULT FALSE;
+ALTER TABLE board_games ADD COLUMN IF NOT EXISTS want_to_buy BOOLEAN DEFAULT FALSE;
+ALTER TABLE board_games ADD COLUMN IF NOT EXISTS preordered BOOLEAN DEFAULT FALSE;
+ALTER TABLE board_games ADD COLUMN IF NOT EXISTS wishlist_priority SMALLINT;
+ALTER TABLE board_games ADD COLUMN IF NOT EXISTS user_comment TEXT;
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 020_add_board_game_statuses completed successfully';
+END
+$$;
\ No newline at end of file
@@ -0,0 +1,14 @@
+-- Migration: Sync the BGG play log incrementally
+-- Syncs fetch recent plays only, downloading the whole log again on a slower cadence
+
+ALTER TABLE sync_status
+ADD COLUMN IF NOT EXISTS last_full_play_sync_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN sync_status.last_full_play_sync_at IS 'When the whole BGG play log was last downloaded, replacing the stored plays';
+
+-- Print completion message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 021_add_play_sync_cursor completed successfully';
+END
+$$;
@@ -2,26 +2,264 @@
 -- Drop tables if they exist (in reverse dependency order)
 DROP TABLE IF EXISTS board_games CASCADE;
 DROP TABLE IF EXISTS records CASCADE;
+DROP TABLE IF EXISTS record_folders CASCADE;
 DROP TABLE IF EXISTS books CASCADE;
-DROP TABLE IF EXISTS sync_status CASCADE;
 
 -- Sync status table to track external API sync
-CREATE TABLE sync_status (
+-- Not dropped above, so a starting instance doesn't clear the lock another instance is syncing under
+CREATE TABLE IF NOT EXISTS sync_status (
     id SERIAL PRIMARY KEY,
     service VARCHAR(50) NOT NULL UNIQUE,
     last_sync_at TIMESTAMP WITH TIME ZONE,
+    last_successful_sync_at TIMESTAMP WITH TIME ZONE,
+    last_full_sync_at TIMESTAMP WITH TIME ZONE,
+    last_sync_mode VARCHAR(20),
+    last_sync_result VARCHAR(20), -- completed, failed, cancelled
     sync_in_progress BOOLEAN DEFAULT FALSE,
+    locked_by VARCHAR(255), -- instance ID holding the sync lock
+    locked_at TIMESTAMP WITH TIME ZONE,
+    lock_expires_at TIMESTAMP WITH TIME ZONE,
+    last_full_play_sync_at TIMESTAMP WITH TIME ZONE, -- BGG play log, see playService
     error_message TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Columns added since sync_status was first created
+ALTER TABLE sync_status
+    ADD COLUMN IF NOT EXISTS last_successful_sync_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS last_full_sync_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS last_sync_mode VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS last_sync_result VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS locked_by VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS lock_expires_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS last_full_play_sync_at TIMESTAMP WITH TIME ZONE;
+
+-- Sync run log, one row per sync attempt of a service
+-- Not dropped above, run history is kept across restarts and pruned per service instead
+CREATE TABLE IF NOT EXISTS sync_runs (
+    id SERIAL PRIMARY KEY,
+    service VARCHAR(50) NOT NULL,
+    mode VARCHAR(20),
+    status VARCHAR(20) NOT NULL DEFAULT 'running', -- running, completed, failed, cancelled
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    items_fetched INTEGER DEFAULT 0,
+    items_inserted INTEGER DEFAULT 0,
+    items_updated INTEGER DEFAULT 0,
+    items_failed INTEGER DEFAULT 0,
+    items_removed INTEGER DEFAULT 0,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Item-level outcomes for a sync run (failures and removals)
+CREATE TABLE IF NOT EXISTS sync_run_items (
+    id SERIAL PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES sync_runs(id) ON DELETE CASCADE,
+    external_id VARCHAR(50),
+    title VARCHAR(500),
+    outcome VARCHAR(20) NOT NULL, -- failed, removed
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Outbound webhook delivery log, one row per event per endpoint
+-- Not dropped above, so failed deliveries can still be looked into after a restart
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    event_id VARCHAR(36) NOT NULL,
+    event VARCHAR(50) NOT NULL,
+    url TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, delivered, failed
+    attempts INTEGER DEFAULT 0,
+    response_status INTEGER,
+    error_message TEXT,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Wishlist items that moved into the collection
+-- Not dropped above: the sources keep no record of when an item left the wishlist, so this history
+-- can't be rebuilt by a resync like the other tables
+CREATE TABLE IF NOT EXISTS acquisitions (
+    id SERIAL PRIMARY KEY,
+    service VARCHAR(50) NOT NULL,
+    external_id VARCHAR(50) NOT NULL,
+    title VARCHAR(500),
+    artist VARCHAR(500),
+    wishlisted_at TIMESTAMP WITH TIME ZONE, -- when the item was added to the wishlist
+    acquired_at TIMESTAMP WITH TIME ZONE NOT NULL, -- when it entered the collection
+    left_wishlist_at TIMESTAMP WITH TIME ZONE, -- when a sync first saw it off the wishlist
+    days_on_wishlist INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Field-level change log for shelf items, with a snapshot of the row after each change
+-- Kept across restarts like acquisitions, so the first sync after startup diffs against the last snapshot
+CREATE TABLE IF NOT EXISTS item_history (
+    id SERIAL PRIMARY KEY,
+    item_table VARCHAR(50) NOT NULL, -- records, board_games, books
+    external_id VARCHAR(50) NOT NULL,
+    change_type VARCHAR(20) NOT NULL, -- added, updated, removed
+    changes JSONB, -- { field: { from, to } }
+    snapshot JSONB, -- the full row after the change, null once removed
+    run_id INTEGER, -- sync run that made the change, null for single item refreshes
+    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Full Discogs release details, fetched once per release and kept across restarts
+-- Keyed by release ID rather than referencing records, which is rebuilt on startup
+CREATE TABLE IF NOT EXISTS record_details (
+    id SERIAL PRIMARY KEY,
+    release_id VARCHAR(50) NOT NULL UNIQUE, -- Discogs release ID, records.external_id
+    notes TEXT,
+    fetched_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS record_tracks (
+    id SERIAL PRIMARY KEY,
+    release_id VARCHAR(50) NOT NULL,
+    position VARCHAR(20),
+    track_type VARCHAR(20), -- track, heading, index
+    title VARCHAR(500),
+    duration VARCHAR(20), -- as listed on Discogs, e.g. 3:45
+    sort_order INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS record_credits (
+    id SERIAL PRIMARY KEY,
+    release_id VARCHAR(50) NOT NULL,
+    artist_id VARCHAR(50), -- Discogs artist ID
+    name VARCHAR(500) NOT NULL,
+    anv VARCHAR(500), -- artist name variation as credited on this release
+    role VARCHAR(500),
+    tracks VARCHAR(500), -- track positions the credit applies to, empty for the whole release
+    sort_order INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS record_identifiers (
+    id SERIAL PRIMARY KEY,
+    release_id VARCHAR(50) NOT NULL,
+    type VARCHAR(100) NOT NULL, -- Barcode, Matrix / Runout, Rights Society...
+    value VARCHAR(500),
+    description VARCHAR(500),
+    sort_order INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS record_labels (
+    id SERIAL PRIMARY KEY,
+    release_id VARCHAR(50) NOT NULL,
+    label_id VARCHAR(50), -- Discogs label ID
+    name VARCHAR(300) NOT NULL,
+    catalog_number VARCHAR(100),
+    sort_order INTEGER NOT NULL
+);
+
+-- Discogs master releases, fetched once per master and kept across restarts
+CREATE TABLE IF NOT EXISTS record_masters (
+    id SERIAL PRIMARY KEY,
+    master_id VARCHAR(50) NOT NULL UNIQUE, -- Discogs master ID, records.master_id
+    title VARCHAR(500),
+    year INTEGER, -- original release year of the album
+    main_release_id VARCHAR(50),
+    fetched_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Discogs collection value after each records sync, in the user's Discogs currency
+-- Not dropped above: past values can't be fetched again
+CREATE TABLE IF NOT EXISTS collection_valuations (
+    id SERIAL PRIMARY KEY,
+    minimum DECIMAL(12,2),
+    median DECIMAL(12,2),
+    maximum DECIMAL(12,2),
+    currency VARCHAR(10), -- symbol as Discogs formats it, e.g. $
+    record_count INTEGER,
+    run_id INTEGER,
+    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Lowest Discogs marketplace price per release, re-checked after DISCOGS_PRICE_REFRESH_INTERVAL_IN_DAYS
+CREATE TABLE IF NOT EXISTS record_prices (
+    id SERIAL PRIMARY KEY,
+    release_id VARCHAR(50) NOT NULL UNIQUE, -- Discogs release ID, records.external_id
+    lowest_price DECIMAL(12,2), -- null when no copy is for sale
+    currency VARCHAR(10),
+    num_for_sale INTEGER,
+    blocked_from_sale BOOLEAN DEFAULT FALSE,
+    checked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Discogs OAuth access token for the connected account, encrypted with SHELF_ENCRYPTION_KEY
+-- Not dropped above: connecting needs the account owner in a browser
+CREATE TABLE IF NOT EXISTS service_credentials (
+    id SERIAL PRIMARY KEY,
+    service VARCHAR(50) NOT NULL UNIQUE, -- e.g. discogs
+    username VARCHAR(200), -- account the token belongs to
+    access_token TEXT NOT NULL, -- encrypted
+    access_token_secret TEXT NOT NULL, -- encrypted
+    connected_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- OAuth request tokens waiting for the account owner to authorize them on the service
+CREATE TABLE IF NOT EXISTS oauth_request_tokens (
+    id SERIAL PRIMARY KEY,
+    service VARCHAR(50) NOT NULL,
+    token VARCHAR(200) NOT NULL UNIQUE,
+    token_secret TEXT NOT NULL, -- encrypted
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- BoardGameGeek play log, recent plays upserted after each board games sync and replaced in full daily
+-- Not dropped above so play statistics are there before the first sync
+CREATE TABLE IF NOT EXISTS board_game_plays (
+    id SERIAL PRIMARY KEY,
+    play_id VARCHAR(50) NOT NULL UNIQUE, -- BGG play ID
+    game_id VARCHAR(50) NOT NULL, -- BGG game ID, board_games.external_id
+    game_name VARCHAR(500),
+    played_on DATE,
+    quantity INTEGER DEFAULT 1, -- plays logged in one entry
+    length_minutes INTEGER,
+    location VARCHAR(500),
+    incomplete BOOLEAN DEFAULT FALSE,
+    comments TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS board_game_play_players (
+    id SERIAL PRIMARY KEY,
+    play_id VARCHAR(50) NOT NULL,
+    username VARCHAR(200), -- BGG username, empty for guests
+    name VARCHAR(300),
+    score VARCHAR(50), -- as logged, not always a number
+    win BOOLEAN DEFAULT FALSE,
+    color VARCHAR(100),
+    start_position VARCHAR(50),
+    sort_order INTEGER NOT NULL
+);
+
 -- Records table (from Discogs)
 CREATE TABLE records (
     id SERIAL PRIMARY KEY,
     external_id VARCHAR(50) NOT NULL UNIQUE, -- Discogs ID
+    master_id VARCHAR(50), -- Discogs master, shared by every pressing of an album
     artist VARCHAR(500) NOT NULL,
     sort_artist VARCHAR(500),
+    artists JSONB DEFAULT '[]', -- full Discogs credit: [{ id, name, anv, join }]
     title VARCHAR(500) NOT NULL,
     year_of_original_release INTEGER,
     year_of_release INTEGER,
@@ -38,11 +276,27 @@ CREATE TABLE records (
     itunes_image_local_path TEXT,
     date_added TIMESTAMP WITH TIME ZONE,
     in_collection BOOLEAN DEFAULT TRUE,
+    folder_ids JSONB DEFAULT '[]', -- Discogs collection folders holding a copy
+    media_condition VARCHAR(100), -- Discogs collection fields, e.g. Very Good Plus (VG+)
+    sleeve_condition VARCHAR(100),
+    custom_fields JSONB DEFAULT '{}', -- other collection fields by name, e.g. Notes
+    user_rating SMALLINT, -- owner's Discogs rating, 1 to 5 stars, null when unrated
     in_wishlist BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Discogs collection folders, shown as sub-shelves when listed in DISCOGS_PUBLIC_FOLDERS
+CREATE TABLE record_folders (
+    id SERIAL PRIMARY KEY,
+    folder_id INTEGER NOT NULL UNIQUE, -- Discogs folder ID
+    name VARCHAR(300) NOT NULL,
+    slug VARCHAR(300) NOT NULL UNIQUE, -- URL name, /record/folder/<slug>
+    record_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Board games table (from BoardGameGeek)
 CREATE TABLE board_games (
     id SERIAL PRIMARY KEY,
@@ -52,6 +306,8 @@ CREATE TABLE board_games (
     min_players INTEGER,
     max_players INTEGER,
     playing_time INTEGER,
+    min_playing_time INTEGER,
+    max_playing_time INTEGER,
     min_age INTEGER,
     description TEXT,
     image_url TEXT,
@@ -59,9 +315,24 @@ CREATE TABLE board_games (
     cover_image_local_path TEXT,
     mechanics JSONB,
     categories JSONB,
-    rating DECIMAL(3,2),
+    designers JSONB DEFAULT '[]',
+    publishers JSONB DEFAULT '[]',
+    artists JSONB DEFAULT '[]',
+    families JSONB DEFAULT '[]', -- BGG families, e.g. "Country: Japan" or "Series: 18xx"
+    rating DECIMAL(3,2), -- BGG average rating
+    user_rating DECIMAL(3,1), -- owner's BGG rating, 1 to 10, null when unrated
     complexity_rating DECIMAL(3,2),
     rank INTEGER,
+    is_expansion BOOLEAN DEFAULT FALSE,
+    base_game_ids JSONB DEFAULT '[]', -- BGG IDs of the games an expansion expands
+    previously_owned BOOLEAN DEFAULT FALSE,
+    for_trade BOOLEAN DEFAULT FALSE,
+    want_in_trade BOOLEAN DEFAULT FALSE,
+    want_to_play BOOLEAN DEFAULT FALSE,
+    want_to_buy BOOLEAN DEFAULT FALSE,
+    preordered BOOLEAN DEFAULT FALSE,
+    wishlist_priority SMALLINT, -- 1 must have to 5 don't buy this, null when not on the wishlist
+    user_comment TEXT, -- owner's comment on the BGG collection entry
     date_added TIMESTAMP WITH TIME ZONE,
     in_collection BOOLEAN DEFAULT TRUE,
     in_wishlist BOOLEAN DEFAULT FALSE,
@@ -93,16 +364,33 @@ CREATE TABLE books (
 
 -- Indexes for better performance
 CREATE INDEX idx_records_artist ON records (artist);
+CREATE INDEX idx_records_artists ON records USING GIN (artists);
 CREATE INDEX idx_records_title ON records (title);
 CREATE INDEX idx_records_year ON records (year_of_original_release);
 CREATE INDEX idx_records_collection ON records (in_collection);
 CREATE INDEX idx_records_external_id ON records (external_id);
+CREATE INDEX idx_records_master ON records (master_id);
+CREATE INDEX idx_records_folders ON records USING GIN (folder_ids);
 
 CREATE INDEX idx_board_games_name ON board_games (name);
 CREATE INDEX idx_board_games_year ON board_games (year_published);
 CREATE INDEX idx_board_games_collection ON board_games (in_collection);
 CREATE INDEX idx_board_games_external_id ON board_games (external_id);
 
+CREATE INDEX IF NOT EXISTS idx_sync_runs_service ON sync_runs (service, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_run_items_run ON sync_run_items (run_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_event ON webhook_deliveries (event, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_acquisitions_acquired ON acquisitions (service, acquired_at DESC);
+CREATE INDEX IF NOT EXISTS idx_item_history_item ON item_history (item_table, external_id, recorded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_record_tracks_release ON record_tracks (release_id);
+CREATE INDEX IF NOT EXISTS idx_record_credits_release ON record_credits (release_id);
+CREATE INDEX IF NOT EXISTS idx_record_identifiers_release ON record_identifiers (release_id);
+CREATE INDEX IF NOT EXISTS idx_record_labels_release ON record_labels (release_id);
+CREATE INDEX IF NOT EXISTS idx_collection_valuations_recorded ON collection_valuations (recorded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_board_game_plays_game ON board_game_plays (game_id);
+CREATE INDEX IF NOT EXISTS idx_board_game_plays_played_on ON board_game_plays (played_on);
+CREATE INDEX IF NOT EXISTS idx_board_game_play_players_play ON board_game_play_players (play_id);
+
 CREATE INDEX idx_books_title ON books (title);
 CREATE INDEX idx_books_author ON books (author);
 CREATE INDEX idx_books_collection ON books (in_collection);
@@ -112,4 +400,5 @@ CREATE INDEX idx_books_external_id ON books (external_id);
 INSERT INTO sync_status (service, last_sync_at) VALUES 
 ('discogs', NULL),
 ('boardgamegeek', NULL),
-('goodreads', NULL);
\ No newline at end of file
+('goodreads', NULL)
+ON CONFLICT (service) DO NOTHING;
\ No newline at end of file
@@ -7,7 +7,25 @@ const ALLOWED_TABLES = [
     'records',
     'board_games', 
     'books',
-    'sync_status'
+    'sync_status',
+    'sync_runs',
+    'sync_run_items',
+    'webhook_deliveries',
+    'acquisitions',
+    'item_history',
+    'record_details',
+    'record_tracks',
+    'record_credits',
+    'record_identifiers',
+    'record_labels',
+    'record_masters',
+    'record_folders',
+    'collection_valuations',
+    'record_prices',
+    'service_credentials',
+    'oauth_request_tokens',
+    'board_game_plays',
+    'board_game_play_players'
 ];
 
 // Whitelist of allowed columns for ORDER BY
@@ -15,7 +33,7 @@ const ALLOWED_COLUMNS = [
     'id', 'artist', 'sort_artist', 'title', 'name', 'sort_name', 
     'year_of_original_release', 'year_of_release', 'year_published',
     'author', 'sort_author', 'date_added', 'created_at', 'updated_at',
-    'external_id', 'in_collection', 'in_wishlist'
+    'external_id', 'in_collection', 'in_wishlist', 'acquired_at'
 ];
 
 /**
@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+
+/**
+ * Admin authentication middleware
+ * HTTP basic auth against ADMIN_USERNAME and ADMIN_PASSWORD; admin routes don't exist until both are set
+ */
+
+const safeEqual = (a, b) => {
+    // Compare digests so neither the length nor the content of the secret leaks through timing
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+};
+
+export const isAdminEnabled = () => Boolean(config.admin.username && config.admin.password);
+
+export const requireAdmin = (req, res, next) => {
+    if (!isAdminEnabled()) {
+        return res.status(404).json({ error: 'Not found' });
+    }
+
+    const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+    if (scheme === 'Basic' && encoded) {
+        const credentials = Buffer.from(encoded, 'base64').toString('utf8');
+        const separator = credentials.indexOf(':');
+        const username = credentials.slice(0, separator);
+        const password = credentials.slice(separator + 1);
+
+        // Check both so a wrong username takes as long as a wrong password
+        const usernameMatches = safeEqual(username, config.admin.username);
+        const passwordMatches = safeEqual(password, config.admin.password);
+        if (separator >= 0 && usernameMatches && passwordMatches) {
+            return next();
+        }
+
+        console.warn(`Rejected admin credentials for ${req.method} ${req.originalUrl} from ${req.ip}`);
+    }
+
+    res.set('WWW-Authenticate', 'Basic realm="Shelf admin", charset="UTF-8"');
+    res.status(401).json({ error: 'Authentication required' });
+};
+
+const getHost = (url) => {
+    try {
+        return new URL(url).host;
+    } catch {
+        return null;
+    }
+};
+
+// Browsers resend basic auth credentials on cross-site form posts, so admin routes that change
+// state only accept requests whose Origin (or Referer, for browsers without Origin) is this site
+export const requireSameOrigin = (req, res, next) => {
+    const sourceHost = getHost(req.get('origin') || req.get('referer'));
+    if (sourceHost && [getHost(config.publicUrl), req.get('host')].includes(sourceHost)) {
+        return next();
+    }
+
+    console.warn(`Rejected cross-site admin request for ${req.method} ${req.originalUrl} from ${req.ip}`);
+    res.status(403).json({ error: 'Cross-site request refused' });
+};
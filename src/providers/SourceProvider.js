@@ -0,0 +1,119 @@
+/**
+ * Source Provider
+ * Base class for the external sources a shelf is synced from. SyncService only talks to
+ * sources through this interface, so a new source is a subclass registered in providers/index.js
+ */
+class SourceProvider {
+    constructor() {
+        this.name = null;        // Sync service name used in sync_status, sync_runs and locks
+        this.sourceName = null;  // Human readable source name for logs
+        this.shelf = null;       // Shelf the items belong to, also accepted as an alias in the API
+        this.table = null;       // Table items are upserted into, keyed by external_id
+        this.imageType = null;   // Image cache type passed to imageService.cleanupItemImages
+        this.aliases = [];       // Other names the API accepts for this provider
+        this.batchSize = 1;      // Items processed concurrently
+        this.batchDelayMs = 0;   // Pause between batches to stay under source rate limits
+        this.sourceDateAdded = true; // Whether transform's date_added is when the item was added; if not, the first one stored is kept
+    }
+
+    /**
+     * Whether this shelf is turned on
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return false;
+    }
+
+    /**
+     * Decide whether a sync should fetch everything or only what changed
+     * Removals are only reconciled after a full sync
+     * @param {Object|null} status - The provider's sync_status row
+     * @param {string|null} requestedMode - Mode asked for by a manual trigger
+     * @returns {string} - 'full' or 'incremental'
+     */
+    getSyncMode(status, requestedMode = null) {
+        return 'full';
+    }
+
+    /**
+     * Fetch the raw collection items from the source
+     * @param {Object} options - { status, mode, signal }
+     * @returns {Promise<Array>}
+     */
+    async fetchCollection(options = {}) {
+        throw new Error(`${this.name} provider does not implement fetchCollection`);
+    }
+
+    /**
+     * Fetch the raw wishlist items from the source
+     * @param {Object} options - { signal }
+     * @returns {Promise<Array>}
+     */
+    async fetchWishlist(options = {}) {
+        throw new Error(`${this.name} provider does not implement fetchWishlist`);
+    }
+
+    /**
+     * Turn a raw source item into a row for this provider's table
+     * @param {Object} item - Raw item from fetchCollection or fetchWishlist
+     * @param {boolean} isWishlist - Whether the item came from the wishlist
+     * @returns {Object} - Row with external_id, in_collection and in_wishlist set
+     */
+    transform(item, isWishlist = false) {
+        throw new Error(`${this.name} provider does not implement transform`);
+    }
+
+    /**
+     * Add detail the collection listing doesn't include
+     * @param {Array} items - Transformed items
+     * @param {Object} options - { signal }
+     * @returns {Promise<Array>} - Enriched items
+     */
+    async enrich(items, options = {}) {
+        return items;
+    }
+
+    /**
+     * Download and cache images for an item
+     * @param {Object} item - Transformed item
+     * @param {Object} options - { signal, force }
+     * @returns {Promise<Object>} - Item with local image paths set
+     */
+    async downloadImages(item, options = {}) {
+        return item;
+    }
+
+    /**
+     * Extra work once a sync has written its items, e.g. recording collection statistics
+     * Errors are logged without failing the sync, cancellations still stop it
+     * @param {Object} context - { mode, items, run, signal }
+     */
+    async afterSync(context = {}) {
+    }
+
+    /**
+     * Re-fetch a single item from the source, including its images
+     * @param {Object} existing - The item's current row
+     * @returns {Promise<Object>} - Row to upsert
+     */
+    async refreshItem(existing) {
+        throw new Error(`${this.name} provider does not support refreshing single items`);
+    }
+
+    /**
+     * Rate limit budget and retry state of the source's API, shown in the sync status
+     * @returns {Object|null} - null when the provider doesn't track one
+     */
+    getRateLimitStatus() {
+        return null;
+    }
+
+    /**
+     * Short description of an item for log lines
+     */
+    describeItem(item) {
+        return item.title || item.name || item.external_id;
+    }
+}
+
+export default SourceProvider;
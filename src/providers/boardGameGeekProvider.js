@@ -0,0 +1,90 @@
+import config from '../config/index.js';
+import boardGameGeekService from '../services/boardGameGeekService.js';
+import playService from '../services/playService.js';
+import SourceProvider from './SourceProvider.js';
+import { STATUS_SHELVES } from '../common/boardGameStatuses.js';
+
+/**
+ * BoardGameGeek Provider
+ * Syncs the board games shelf from a BGG collection and wishlist
+ * The BGG collection API has no paging, so every sync is a full sync
+ */
+class BoardGameGeekProvider extends SourceProvider {
+    constructor() {
+        super();
+        this.name = 'boardgamegeek';
+        this.sourceName = 'BoardGameGeek';
+        this.shelf = 'boardgames';
+        this.table = 'board_games';
+        this.imageType = 'board-games';
+        this.aliases = ['boardgames'];
+        // BGG only has status@lastmodified, which moves on every edit of the entry
+        this.sourceDateAdded = false;
+    }
+
+    isEnabled() {
+        return config.features.boardGamesEnabled;
+    }
+
+    /**
+     * Owned games plus the entries on status shelves, which needn't be owned
+     * BGG queues every export, so statuses are fetched one after another
+     */
+    async fetchCollection({ signal = null } = {}) {
+        const items = await boardGameGeekService.getAllCollectionItems({ signal });
+        for (const shelf of STATUS_SHELVES) {
+            const shelfItems = await boardGameGeekService.getAllCollectionItems({ filter: shelf.filter, signal });
+            // Only keep entries that really have the status, an ignored filter would return the whole collection
+            items.push(...shelfItems.filter(item => boardGameGeekService.getAttribute(item.status, shelf.status) === '1'));
+        }
+        return items;
+    }
+
+    async fetchWishlist({ signal = null } = {}) {
+        return await boardGameGeekService.getAllWishlistItems({ signal });
+    }
+
+    transform(item, isWishlist = false) {
+        return boardGameGeekService.transformToBoardGame(item, isWishlist);
+    }
+
+    async enrich(games, { signal = null } = {}) {
+        return await boardGameGeekService.enrichGameData(games, { signal });
+    }
+
+    async downloadImages(game, { signal = null } = {}) {
+        // Board game images are always re-downloaded, so there is no cache to force past
+        return await boardGameGeekService.downloadBoardGameImages(game, { signal });
+    }
+
+    /**
+     * Refresh the play log for play counts and statistics
+     */
+    async afterSync({ signal = null } = {}) {
+        await playService.syncPlays({ signal });
+    }
+
+    async refreshItem(existing) {
+        const detailsData = await boardGameGeekService.getGameDetails([existing.external_id]);
+        const [detail] = boardGameGeekService.parseGameDetails(detailsData);
+        if (!detail) {
+            throw new Error(`BoardGameGeek returned no details for game ${existing.external_id}`);
+        }
+
+        const game = boardGameGeekService.mergeGameDetails({
+            external_id: existing.external_id,
+            name: existing.name,
+            in_collection: existing.in_collection,
+            in_wishlist: existing.in_wishlist,
+            date_added: existing.date_added
+        }, detail);
+
+        return await this.downloadImages(game);
+    }
+
+    describeItem(game) {
+        return `board game ${game.name}`;
+    }
+}
+
+export default new BoardGameGeekProvider();
@@ -0,0 +1,144 @@
+import config from '../config/index.js';
+import discogsService from '../services/discogsService.js';
+import masterReleaseService from '../services/masterReleaseService.js';
+import recordDetailsService from '../services/recordDetailsService.js';
+import recordFolderService from '../services/recordFolderService.js';
+import recordFieldService from '../services/recordFieldService.js';
+import valuationService from '../services/valuationService.js';
+import SourceProvider from './SourceProvider.js';
+
+/**
+ * Discogs Provider
+ * Syncs the records shelf from a Discogs collection and wantlist
+ */
+class DiscogsProvider extends SourceProvider {
+    constructor() {
+        super();
+        this.name = 'discogs';
+        this.sourceName = 'Discogs';
+        this.shelf = 'records';
+        this.table = 'records';
+        this.imageType = 'records';
+        this.aliases = ['records'];
+        this.batchSize = 3; // Respects Discogs and iTunes rate limits
+        this.batchDelayMs = 1000;
+    }
+
+    isEnabled() {
+        return config.features.recordsEnabled;
+    }
+
+    /**
+     * Periodic syncs only fetch newly added releases, with a full re-crawl on a slower cadence
+     */
+    getSyncMode(status, requestedMode = null) {
+        // Without a previous successful full sync there is nothing to be incremental against
+        if (!status || !status.last_successful_sync_at || !status.last_full_sync_at) {
+            return 'full';
+        }
+
+        if (requestedMode) {
+            return requestedMode;
+        }
+
+        const sinceLastFullSync = Date.now() - new Date(status.last_full_sync_at).getTime();
+        return sinceLastFullSync >= config.discogs.fullSyncIntervalMs ? 'full' : 'incremental';
+    }
+
+    async fetchCollection({ status = null, mode = 'full', signal = null } = {}) {
+        const addedSince = mode === 'incremental' ? new Date(status.last_successful_sync_at) : null;
+        const [items, fieldNames] = await Promise.all([
+            discogsService.getAllCollectionItems({ addedSince, signal }),
+            recordFieldService.getFieldNames(signal),
+            recordFolderService.syncFolders({ signal })
+        ]);
+
+        return this.groupInstances(items).map(item => recordFieldService.applyFields(item, fieldNames));
+    }
+
+    /**
+     * The collection lists each copy of a release separately, one per folder it was filed in
+     * Collapse copies into one item that knows every folder holding the release
+     * The first copy's condition and custom fields stand for the release
+     */
+    groupInstances(items) {
+        const byRelease = new Map();
+
+        for (const item of items) {
+            const releaseId = item.basic_information?.id;
+            const existing = byRelease.get(releaseId);
+
+            if (existing) {
+                if (!existing.folder_ids.includes(item.folder_id)) {
+                    existing.folder_ids.push(item.folder_id);
+                }
+            } else {
+                byRelease.set(releaseId, { ...item, folder_ids: item.folder_id ? [item.folder_id] : [] });
+            }
+        }
+
+        return Array.from(byRelease.values());
+    }
+
+    async fetchWishlist({ signal = null } = {}) {
+        return await discogsService.getAllWantlistItems({ signal });
+    }
+
+    transform(item, isWishlist = false) {
+        return discogsService.transformToRecord(item, isWishlist);
+    }
+
+    /**
+     * Take the original release year from each record's master already stored
+     * Fetching releases and masters takes a request each, so afterSync does it once the shelf is filled
+     */
+    async enrich(records, { signal = null } = {}) {
+        return await masterReleaseService.applyMasterYears(records, { signal, fetchMissing: false });
+    }
+
+    async downloadImages(record, { signal = null, force = false } = {}) {
+        return await discogsService.downloadRecordImages(record, { signal, force });
+    }
+
+    /**
+     * Fetch the full release and master of records seen for the first time, the listing only has a summary,
+     * record the collection's value and check marketplace prices of records not checked recently
+     */
+    async afterSync({ items = [], run = null, signal = null } = {}) {
+        await recordDetailsService.fetchMissing(items, { signal });
+        await masterReleaseService.fillMasterYears(items, { signal });
+        await valuationService.recordValuation({ runId: run?.id, signal });
+        await valuationService.refreshPrices(items.filter(record => record.in_collection), { signal });
+    }
+
+    async refreshItem(existing) {
+        const release = await discogsService.getRelease(existing.external_id);
+        await recordDetailsService.saveRelease(release);
+
+        const record = {
+            ...discogsService.transformToRecord(release),
+            // A release lookup knows nothing about the user's shelf, so keep what the sync recorded
+            in_collection: existing.in_collection,
+            in_wishlist: existing.in_wishlist,
+            date_added: existing.date_added,
+            folder_ids: JSON.stringify(existing.folder_ids || []),
+            media_condition: existing.media_condition,
+            sleeve_condition: existing.sleeve_condition,
+            custom_fields: JSON.stringify(existing.custom_fields || {}),
+            user_rating: existing.user_rating
+        };
+        await masterReleaseService.applyMasterYears([record], { force: true });
+
+        return await this.downloadImages(record, { force: true });
+    }
+
+    getRateLimitStatus() {
+        return discogsService.getRateLimitStatus();
+    }
+
+    describeItem(record) {
+        return `${record.in_collection ? '' : 'wishlist '}record ${record.artist} - ${record.title}`;
+    }
+}
+
+export default new DiscogsProvider();
@@ -0,0 +1,59 @@
+import discogsProvider from './discogsProvider.js';
+import boardGameGeekProvider from './boardGameGeekProvider.js';
+
+const REQUIRED_METHODS = ['isEnabled', 'getSyncMode', 'fetchCollection', 'fetchWishlist', 'transform', 'enrich', 'downloadImages'];
+
+/**
+ * Provider Registry
+ * The source providers SyncService and the sync API iterate over
+ */
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    /**
+     * Add a provider; its name and aliases must not already be taken
+     * @param {SourceProvider} provider
+     */
+    register(provider) {
+        const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+        if (!provider.name || !provider.table || missing.length > 0) {
+            throw new Error(`Invalid source provider ${provider.name}: missing ${missing.join(', ') || 'name or table'}`);
+        }
+
+        for (const key of [provider.name, ...provider.aliases]) {
+            if (this.get(key)) {
+                throw new Error(`Source provider name ${key} is already registered`);
+            }
+        }
+
+        this.providers.set(provider.name, provider);
+    }
+
+    /**
+     * Look up a provider by name or alias
+     * @returns {SourceProvider|null}
+     */
+    get(nameOrAlias) {
+        if (this.providers.has(nameOrAlias)) {
+            return this.providers.get(nameOrAlias);
+        }
+
+        return this.getAll().find(provider => provider.aliases.includes(nameOrAlias)) || null;
+    }
+
+    getAll() {
+        return Array.from(this.providers.values());
+    }
+
+    getEnabled() {
+        return this.getAll().filter(provider => provider.isEnabled());
+    }
+}
+
+const providerRegistry = new ProviderRegistry();
+providerRegistry.register(discogsProvider);
+providerRegistry.register(boardGameGeekProvider);
+
+export default providerRegistry;
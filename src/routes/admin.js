@@ -0,0 +1,132 @@
+import express from 'express';
+import config from '../config/index.js';
+import valuationService from '../services/valuationService.js';
+import discogsAuthService from '../services/discogsAuthService.js';
+import { requireAdmin, requireSameOrigin } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+const formatAmount = (amount) => amount === null || amount === undefined ? '–' : amount.toFixed(2);
+
+// Every admin page needs the admin credentials
+router.use(requireAdmin);
+
+// Collection value over time and the most valuable records, e.g. for insurance paperwork
+router.get('/valuation', async (req, res) => {
+    try {
+        const [valuations, mostValuable] = await Promise.all([
+            valuationService.getValuations(),
+            valuationService.getMostValuable(100)
+        ]);
+
+        const records = mostValuable.map(record => ({
+            artist: record.artist,
+            title: record.title,
+            format: record.format,
+            label: record.label,
+            catalogNumber: record.catalog_number,
+            yearOfRelease: record.year_of_release,
+            mediaCondition: record.media_condition,
+            sleeveCondition: record.sleeve_condition,
+            lowestPrice: formatAmount(record.lowest_price),
+            currency: record.price_currency,
+            numForSale: record.num_for_sale,
+            priceCheckedAt: record.price_checked_at,
+            discogsUrl: `https://www.discogs.com/release/${record.external_id}`
+        }));
+
+        const latest = valuations[valuations.length - 1] || null;
+
+        res.render('valuation', {
+            valuationsJson: JSON.stringify(valuations),
+            latest: latest && {
+                ...latest,
+                minimum: formatAmount(latest.minimum),
+                median: formatAmount(latest.median),
+                maximum: formatAmount(latest.maximum)
+            },
+            records,
+            siteTitle: config.siteTitle,
+            publicUrl: config.publicUrl,
+            recordShelfEnabled: config.features.recordsEnabled,
+            boardGameShelfEnabled: config.features.boardGamesEnabled,
+            bookShelfEnabled: config.features.booksEnabled,
+            menu: 'admin'
+        });
+
+    } catch (error) {
+        console.error('Error loading collection valuation:', error);
+        res.status(500).render('error', {
+            error: 'Failed to load collection valuation',
+            siteTitle: config.siteTitle,
+            publicUrl: config.publicUrl
+        });
+    }
+});
+
+// Connection page for the Discogs account the records shelf syncs
+const renderDiscogsConnection = async (res, { error = null, status = 200 } = {}) => {
+    res.status(status).render('authentication', {
+        discogs: await discogsAuthService.getStatus(),
+        error,
+        siteTitle: config.siteTitle,
+        publicUrl: config.publicUrl,
+        recordShelfEnabled: config.features.recordsEnabled,
+        boardGameShelfEnabled: config.features.boardGamesEnabled,
+        bookShelfEnabled: config.features.booksEnabled,
+        menu: 'admin'
+    });
+};
+
+router.get('/discogs', async (req, res) => {
+    try {
+        await renderDiscogsConnection(res);
+    } catch (error) {
+        console.error('Error loading Discogs connection:', error);
+        res.status(500).render('error', {
+            error: 'Failed to load Discogs connection',
+            siteTitle: config.siteTitle,
+            publicUrl: config.publicUrl
+        });
+    }
+});
+
+// Send the account owner to Discogs to approve access, connecting again replaces the current account
+router.post('/discogs/connect', requireSameOrigin, async (req, res) => {
+    try {
+        const authorizeUrl = await discogsAuthService.startAuthorization(`${config.publicUrl}/admin/discogs/callback`);
+        res.redirect(authorizeUrl);
+    } catch (error) {
+        console.error('Error connecting Discogs:', error);
+        await renderDiscogsConnection(res, { error: error.message, status: 502 });
+    }
+});
+
+// Discogs redirects back here with oauth_token and oauth_verifier, or denied when access was refused
+router.get('/discogs/callback', async (req, res) => {
+    const { oauth_token: token, oauth_verifier: verifier, denied } = req.query;
+
+    try {
+        if (denied || !token || !verifier) {
+            return await renderDiscogsConnection(res, { error: 'Discogs access was not approved', status: 400 });
+        }
+
+        await discogsAuthService.completeAuthorization(token, verifier);
+        res.redirect('/admin/discogs');
+    } catch (error) {
+        console.error('Error completing Discogs connection:', error);
+        await renderDiscogsConnection(res, { error: error.message, status: 502 });
+    }
+});
+
+router.post('/discogs/disconnect', requireSameOrigin, async (req, res) => {
+    try {
+        await discogsAuthService.disconnect();
+        res.redirect('/admin/discogs');
+    } catch (error) {
+        console.error('Error disconnecting Discogs:', error);
+        await renderDiscogsConnection(res, { error: 'Failed to disconnect Discogs', status: 500 });
+    }
+});
+
+export default router;
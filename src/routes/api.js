@@ -1,7 +1,22 @@
 import express from 'express';
 import db from '../database/db.js';
+import cachedDb from '../services/cachedDbService.js';
 import syncService from '../services/syncService.js';
+import syncRunService from '../services/syncRunService.js';
+import syncJobService from '../services/syncJobService.js';
+import webhookService from '../services/webhookService.js';
+import acquisitionService from '../services/acquisitionService.js';
+import itemHistoryService from '../services/itemHistoryService.js';
+import recordDetailsService from '../services/recordDetailsService.js';
+import masterReleaseService from '../services/masterReleaseService.js';
+import recordFolderService from '../services/recordFolderService.js';
+import recordFieldService from '../services/recordFieldService.js';
+import valuationService from '../services/valuationService.js';
+import playService from '../services/playService.js';
 import config from '../config/index.js';
+import providerRegistry from '../providers/index.js';
+import { requireAdmin, requireSameOrigin } from '../middleware/adminAuth.js';
+import { RATING_SCALES, getRatingQueryError, filterByRating, sortByRating } from '../common/ratings.js';
 
 const router = express.Router();
 
@@ -16,33 +31,208 @@ router.get('/sync/status', async (req, res) => {
     }
 });
 
-// Trigger manual sync for records
-router.post('/sync/records', async (req, res) => {
+// List recent sync runs (?service=discogs|boardgamegeek&limit=20)
+router.get('/sync/runs', async (req, res) => {
     try {
-        if (!config.features.recordsEnabled) {
-            return res.status(400).json({ error: 'Records not enabled' });
+        const limit = parseInt(req.query.limit || '20');
+        if (isNaN(limit) || limit < 1 || limit > 100) {
+            return res.status(400).json({ error: 'Limit must be between 1 and 100' });
         }
 
-        await syncService.syncRecordsManually();
-        res.json({ message: 'Records sync completed' });
+        const runs = await syncRunService.getRuns({ service: req.query.service || null, limit });
+        res.json(runs);
     } catch (error) {
-        console.error('Error syncing records:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error getting sync runs:', error);
+        res.status(500).json({ error: 'Failed to get sync runs' });
     }
 });
 
-// Trigger manual sync for board games
-router.post('/sync/boardgames', async (req, res) => {
+// Get a single sync run with its item-level failures and removals
+router.get('/sync/runs/:id', async (req, res) => {
     try {
-        if (!config.features.boardGamesEnabled) {
-            return res.status(400).json({ error: 'Board games not enabled' });
+        const id = parseInt(req.params.id);
+        if (isNaN(id)) {
+            return res.status(400).json({ error: 'Run ID must be a number' });
+        }
+
+        const run = await syncRunService.getRun(id);
+        if (!run) {
+            return res.status(404).json({ error: 'Sync run not found' });
+        }
+
+        res.json(run);
+    } catch (error) {
+        console.error('Error getting sync run:', error);
+        res.status(500).json({ error: 'Failed to get sync run' });
+    }
+});
+
+// Cancel running and queued syncs (?service=<provider>, or all when omitted)
+// Starting, cancelling and refreshing syncs is admin only and, like the admin forms, refused cross-site;
+// clients outside a browser send an Origin header with the public URL
+router.post('/sync/cancel', requireAdmin, requireSameOrigin, (req, res) => {
+    const requested = req.query.service || req.body?.service || null;
+    const provider = requested ? providerRegistry.get(requested) : null;
+    if (requested && !provider) {
+        return res.status(400).json({ error: `Unknown sync provider: ${requested}` });
+    }
+
+    const service = provider ? provider.name : null;
+
+    const cancelledJobs = syncJobService.cancelQueued(service);
+    const cancelledSyncs = syncService.cancel(service);
+
+    res.json({
+        cancelled: cancelledSyncs,
+        cancelledJobs: cancelledJobs.map(job => job.id),
+        message: cancelledSyncs.length > 0 ? 'Cancellation requested' : 'No sync in progress'
+    });
+});
+
+// Queue a manual sync for a provider, by name or shelf alias, e.g. /sync/discogs or /sync/records
+// (?mode=full|incremental, defaults to the scheduled mode)
+router.post('/sync/:provider', requireAdmin, requireSameOrigin, (req, res) => {
+    const provider = providerRegistry.get(req.params.provider);
+    if (!provider) {
+        return res.status(404).json({ error: `Unknown sync provider: ${req.params.provider}` });
+    }
+    if (!provider.isEnabled()) {
+        return res.status(400).json({ error: `${provider.sourceName} sync not enabled` });
+    }
+
+    const { mode } = req.query;
+    if (mode && !['full', 'incremental'].includes(mode)) {
+        return res.status(400).json({ error: 'Mode must be full or incremental' });
+    }
+
+    const job = syncJobService.enqueue(provider.name, { mode: mode || null });
+    res.status(202).json({ jobId: job.id, status: job.status, statusUrl: `/api/sync/jobs/${job.id}` });
+});
+
+// Poll a queued sync job for its phase and percent complete
+router.get('/sync/jobs/:id', (req, res) => {
+    const job = syncJobService.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Sync job not found' });
+    }
+
+    res.json(job);
+});
+
+// List wishlist items that moved into the collection, newest first
+// (?shelf=records|boardgames&since=2024-01-01&limit=50)
+router.get('/acquisitions', async (req, res) => {
+    try {
+        const provider = req.query.shelf ? providerRegistry.get(req.query.shelf) : null;
+        if (req.query.shelf && !provider) {
+            return res.status(400).json({ error: `Unknown shelf: ${req.query.shelf}` });
+        }
+
+        const limit = parseInt(req.query.limit || '50');
+        if (isNaN(limit) || limit < 1 || limit > 1000) {
+            return res.status(400).json({ error: 'Limit must be between 1 and 1000' });
+        }
+
+        const since = req.query.since ? new Date(req.query.since) : null;
+        if (since && isNaN(since.getTime())) {
+            return res.status(400).json({ error: 'Since must be a date' });
+        }
+
+        const acquisitions = await acquisitionService.getAcquisitions({
+            service: provider ? provider.name : null,
+            since,
+            limit
+        });
+        res.json(acquisitions);
+    } catch (error) {
+        console.error('Error getting acquisitions:', error);
+        res.status(500).json({ error: 'Failed to get acquisitions' });
+    }
+});
+
+// List recent webhook deliveries (admin only, target URLs carry Discord and Slack tokens)
+// (?event=item.added&status=failed&limit=50)
+router.get('/webhooks/deliveries', requireAdmin, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit || '50');
+        if (isNaN(limit) || limit < 1 || limit > 1000) {
+            return res.status(400).json({ error: 'Limit must be between 1 and 1000' });
+        }
+
+        const deliveries = await webhookService.getDeliveries({
+            event: req.query.event || null,
+            status: req.query.status || null,
+            limit
+        });
+        res.json(deliveries);
+    } catch (error) {
+        console.error('Error getting webhook deliveries:', error);
+        res.status(500).json({ error: 'Failed to get webhook deliveries' });
+    }
+});
+
+// Re-fetch a single item from its source, including its artwork, e.g. /records/123/refresh
+router.post('/:provider/:externalId/refresh', requireAdmin, requireSameOrigin, async (req, res) => {
+    const provider = providerRegistry.get(req.params.provider);
+    if (!provider) {
+        return res.status(404).json({ error: `Unknown sync provider: ${req.params.provider}` });
+    }
+    if (!provider.isEnabled()) {
+        return res.status(400).json({ error: `${provider.sourceName} sync not enabled` });
+    }
+
+    try {
+        const item = await syncService.refreshItem(provider, req.params.externalId);
+        if (!item) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        res.json(item);
+    } catch (error) {
+        console.error(`Error refreshing ${provider.shelf} item ${req.params.externalId}:`, error);
+        res.status(500).json({ error: 'Failed to refresh item' });
+    }
+});
+
+// Get a record with its full release details: tracklist, credits, identifiers and labels
+// Details are null until a sync or refresh has fetched the release
+router.get('/records/:id(\\d+)', async (req, res) => {
+    try {
+        const record = await db.findOne('records', { external_id: req.params.id });
+        if (!record) {
+            return res.status(404).json({ error: 'Record not found' });
         }
 
-        await syncService.syncBoardGamesManually();
-        res.json({ message: 'Board games sync completed' });
+        const details = await recordDetailsService.getDetails(req.params.id);
+        res.json({ ...recordFieldService.toPublic(record), details });
     } catch (error) {
-        console.error('Error syncing board games:', error);
-        res.status(500).json({ error: error.message });
+        console.error(`Error getting record ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Failed to get record' });
+    }
+});
+
+// Collection value over time, oldest first (admin only)
+// (?since=2024-01-01&limit=365)
+router.get('/valuation', requireAdmin, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit || '365');
+        if (isNaN(limit) || limit < 1 || limit > 1000) {
+            return res.status(400).json({ error: 'Limit must be between 1 and 1000' });
+        }
+
+        const since = req.query.since ? new Date(req.query.since) : null;
+        if (since && isNaN(since.getTime())) {
+            return res.status(400).json({ error: 'Since must be a date' });
+        }
+
+        const history = await valuationService.getValuations({ since, limit });
+        res.json({
+            latest: history[history.length - 1] || null,
+            history
+        });
+    } catch (error) {
+        console.error('Error getting collection valuation:', error);
+        res.status(500).json({ error: 'Failed to get collection valuation' });
     }
 });
 
@@ -85,49 +275,140 @@ router.get('/stats', async (req, res) => {
     }
 });
 
+// Board game play statistics from the BGG play log
+// (?limit=10 most played games)
+router.get('/boardgames/stats/plays', async (req, res) => {
+    try {
+        if (!config.features.boardGamesEnabled) {
+            return res.status(404).json({ error: 'Board games are not enabled' });
+        }
+
+        const limit = parseInt(req.query.limit || '10');
+        if (isNaN(limit) || limit < 1 || limit > 100) {
+            return res.status(400).json({ error: 'Limit must be between 1 and 100' });
+        }
+
+        res.json(await playService.getPlayStats({ limit }));
+    } catch (error) {
+        console.error('Error getting board game play stats:', error);
+        res.status(500).json({ error: 'Failed to get play statistics' });
+    }
+});
+
 // Search endpoints
+// Records can be narrowed to a public Discogs collection folder with ?folder=<slug>
+// and to a minimum grade with ?minCondition=VG%2B (media) and ?minSleeveCondition=VG%2B
+// ?minRating=5 keeps the owner's 5-star records and ?sort=rating puts the highest rated first
 router.get('/search/records', async (req, res) => {
     try {
-        const { q } = req.query;
+        const { q, folder: folderSlug } = req.query;
         if (!q) {
             return res.json([]);
         }
 
+        const filterError = recordFieldService.getConditionFilterError(req.query) || getRatingQueryError(req.query, RATING_SCALES.records);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        const values = [`%${q}%`, req.query.minRating || null];
+        if (folderSlug) {
+            const folder = await recordFolderService.getPublicFolder(folderSlug);
+            if (!folder) {
+                return res.status(404).json({ error: `Unknown folder: ${folderSlug}` });
+            }
+            values.push(JSON.stringify([folder.folder_id]));
+        }
+        const conditionClauses = recordFieldService.getConditionClauses(req.query, values);
+
         const query = `
             SELECT * FROM records 
             WHERE in_collection = true 
             AND (
                 LOWER(artist) LIKE LOWER($1) OR 
-                LOWER(title) LIKE LOWER($1)
+                LOWER(title) LIKE LOWER($1) OR
+                -- Any credited artist, by Discogs name or the variation on the release
+                EXISTS (
+                    SELECT 1 FROM jsonb_array_elements(artists) credit
+                    WHERE LOWER(credit->>'name') LIKE LOWER($1) OR LOWER(credit->>'anv') LIKE LOWER($1)
+                )
             )
-            ORDER BY sort_artist, year_of_original_release, title
+            AND ($2::numeric IS NULL OR user_rating >= $2)
+            ${folderSlug ? 'AND folder_ids @> $3::jsonb' : ''}
+            ${conditionClauses.map(clause => `AND ${clause}`).join(' ')}
+            ORDER BY ${req.query.sort === 'rating' ? 'user_rating DESC NULLS LAST, ' : ''}sort_artist, year_of_original_release, title
             LIMIT 50
         `;
 
-        const result = await db.query(query, [`%${q}%`]);
-        res.json(result.rows);
+        const result = await db.query(query, values);
+        res.json(result.rows.map(record => recordFieldService.toPublic(record)));
     } catch (error) {
         console.error('Error searching records:', error);
         res.status(500).json({ error: 'Search failed' });
     }
 });
 
+// Board game credit lists matched by ?q= and filterable by exact name, e.g. ?designer=Uwe%20Rosenberg
+const BOARD_GAME_LINK_FILTERS = {
+    designer: 'designers',
+    publisher: 'publishers',
+    artist: 'artists',
+    family: 'families',
+    mechanic: 'mechanics',
+    category: 'categories'
+};
+
+// ?q= matches names and every credit list, the BOARD_GAME_LINK_FILTERS parameters narrow to games with that credit,
+// and ?maxPlayTime=60 keeps games that can be played in an hour
+// ?minRating=8 keeps games the owner rated 8 or more on BGG and ?sort=rating puts the highest rated first
 router.get('/search/boardgames', async (req, res) => {
     try {
         const { q } = req.query;
-        if (!q) {
+        const linkFilters = Object.entries(BOARD_GAME_LINK_FILTERS).filter(([param]) => req.query[param]);
+        if (!q && linkFilters.length === 0 && !req.query.maxPlayTime) {
             return res.json([]);
         }
 
+        const ratingError = getRatingQueryError(req.query, RATING_SCALES.board_games);
+        if (ratingError) {
+            return res.status(400).json({ error: ratingError });
+        }
+
+        const maxPlayTime = req.query.maxPlayTime ? parseInt(req.query.maxPlayTime) : null;
+        if (maxPlayTime !== null && (isNaN(maxPlayTime) || maxPlayTime < 1)) {
+            return res.status(400).json({ error: 'maxPlayTime must be a number of minutes' });
+        }
+
+        const values = [req.query.minRating || null];
+        const conditions = ['in_collection = true', '($1::numeric IS NULL OR user_rating >= $1)'];
+
+        if (q) {
+            values.push(`%${q}%`);
+            const credits = Object.values(BOARD_GAME_LINK_FILTERS).map(column => `COALESCE(${column}, '[]'::jsonb)`).join(' || ');
+            conditions.push(`(
+                LOWER(name) LIKE LOWER($${values.length}) OR
+                EXISTS (SELECT 1 FROM jsonb_array_elements_text(${credits}) credit WHERE LOWER(credit) LIKE LOWER($${values.length}))
+            )`);
+        }
+
+        for (const [param, column] of linkFilters) {
+            values.push(req.query[param]);
+            conditions.push(`EXISTS (SELECT 1 FROM jsonb_array_elements_text(COALESCE(${column}, '[]'::jsonb)) credit WHERE LOWER(credit) = LOWER($${values.length}))`);
+        }
+
+        if (maxPlayTime !== null) {
+            values.push(maxPlayTime);
+            conditions.push(`COALESCE(max_playing_time, playing_time) <= $${values.length}`);
+        }
+
         const query = `
             SELECT * FROM board_games 
-            WHERE in_collection = true 
-            AND LOWER(name) LIKE LOWER($1)
-            ORDER BY name
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY ${req.query.sort === 'rating' ? 'user_rating DESC NULLS LAST, ' : ''}name
             LIMIT 50
         `;
 
-        const result = await db.query(query, [`%${q}%`]);
+        const result = await db.query(query, values);
         res.json(result.rows);
     } catch (error) {
         console.error('Error searching board games:', error);
@@ -161,4 +442,109 @@ router.get('/search/books', async (req, res) => {
     }
 });
 
+// List a shelf's collection or wishlist, or rebuild it as it was on a date (?asOf=YYYY-MM-DD)
+// Records can be grouped into stacks of pressings of the same album with ?group=pressings,
+// and filtered to a minimum grade with ?minCondition=VG%2B (media) and ?minSleeveCondition=VG%2B
+// Records and board games can be filtered to the owner's ?minRating= and sorted with ?sort=rating
+router.get('/:shelf/:list(collection|wishlist)', async (req, res) => {
+    const table = itemHistoryService.resolveTable(req.params.shelf);
+    if (!table) {
+        return res.status(404).json({ error: `Unknown shelf: ${req.params.shelf}` });
+    }
+
+    const { group } = req.query;
+    if (group && !(group === 'pressings' && table === 'records')) {
+        return res.status(400).json({ error: 'Only records can be grouped, by pressings' });
+    }
+
+    const { minCondition, minSleeveCondition } = req.query;
+    if ((minCondition || minSleeveCondition) && table !== 'records') {
+        return res.status(400).json({ error: 'Only records can be filtered by condition' });
+    }
+    const conditionError = recordFieldService.getConditionFilterError(req.query);
+    if (conditionError) {
+        return res.status(400).json({ error: conditionError });
+    }
+
+    const { minRating, sort } = req.query;
+    if ((minRating || sort) && !RATING_SCALES[table]) {
+        return res.status(400).json({ error: 'Only records and board games have ratings' });
+    }
+    const ratingError = RATING_SCALES[table] && getRatingQueryError(req.query, RATING_SCALES[table]);
+    if (ratingError) {
+        return res.status(400).json({ error: ratingError });
+    }
+
+    const conditions = req.params.list === 'collection' ? { in_collection: true } : { in_wishlist: true };
+
+    try {
+        let items;
+        if (req.query.asOf) {
+            const asOf = itemHistoryService.parseAsOf(req.query.asOf);
+            if (!asOf) {
+                return res.status(400).json({ error: 'asOf must be a date in YYYY-MM-DD format' });
+            }
+
+            items = await itemHistoryService.getShelfAsOf(table, asOf, conditions);
+        } else {
+            items = await cachedDb.findMany(table, conditions, 'date_added DESC');
+        }
+
+        if (table === 'records') {
+            items = recordFieldService.filterByCondition(items, req.query).map(record => recordFieldService.toPublic(record));
+        }
+
+        items = filterByRating(items, minRating);
+        if (sort === 'rating') {
+            items = sortByRating(items);
+        }
+
+        if (group === 'pressings') {
+            return res.json(masterReleaseService.groupPressings(items).map(pressings => ({
+                master_id: pressings[0].master_id || null,
+                pressing_count: pressings.length,
+                pressings
+            })));
+        }
+
+        res.json(items);
+    } catch (error) {
+        console.error(`Error listing ${req.params.shelf} ${req.params.list}:`, error);
+        res.status(500).json({ error: `Failed to list ${req.params.list}` });
+    }
+});
+
+// Field-level change history of one item, newest first (id is the source's external ID)
+router.get('/:shelf/:id/history', async (req, res) => {
+    const table = itemHistoryService.resolveTable(req.params.shelf);
+    if (!table) {
+        return res.status(404).json({ error: `Unknown shelf: ${req.params.shelf}` });
+    }
+
+    try {
+        const limit = parseInt(req.query.limit || '100');
+        if (isNaN(limit) || limit < 1 || limit > 1000) {
+            return res.status(400).json({ error: 'Limit must be between 1 and 1000' });
+        }
+
+        let history = await itemHistoryService.getHistory(table, req.params.id, { limit });
+
+        // Leave out record fields that aren't public, and updates that only touched those
+        if (table === 'records') {
+            history = history
+                .map(entry => ({ ...entry, changes: recordFieldService.toPublicChanges(entry.changes) }))
+                .filter(entry => entry.change_type !== 'updated' || Object.keys(entry.changes).length > 0);
+        }
+
+        if (history.length === 0) {
+            return res.status(404).json({ error: 'No history for this item' });
+        }
+
+        res.json(history);
+    } catch (error) {
+        console.error(`Error getting history for ${req.params.shelf} ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Failed to get item history' });
+    }
+});
+
 export default router;
\ No newline at end of file
@@ -1,10 +1,130 @@
 import express from 'express';
 import cachedDb from '../services/cachedDbService.js';
 import config from '../config/index.js';
+import acquisitionService from '../services/acquisitionService.js';
+import itemHistoryService from '../services/itemHistoryService.js';
+import playService from '../services/playService.js';
+import { WISHLIST_PRIORITIES, STATUS_SHELVES } from '../common/boardGameStatuses.js';
+import { RATING_SCALES, getRatingQueryError, filterByRating } from '../common/ratings.js';
 
 const router = express.Router();
 
-// Board games wishlist
+// Safe JSON parsing helper - handles both JSONB objects and JSON strings
+const safeJsonParse = (data, fallback = []) => {
+    // If data is null, undefined, or empty string, return fallback
+    if (!data || data === 'null' || data === 'undefined' || data === '') {
+        return fallback;
+    }
+    
+    // If data is already an array or object (JSONB from PostgreSQL), return it directly
+    if (Array.isArray(data) || typeof data === 'object') {
+        return data;
+    }
+    
+    // If data is a string, try to parse it as JSON
+    if (typeof data === 'string') {
+        try {
+            return JSON.parse(data);
+        } catch (e) {
+            console.warn('Failed to parse JSON string:', data, 'Returning fallback:', fallback);
+            return fallback;
+        }
+    }
+    
+    // For any other data type, return fallback
+    console.warn('Unexpected data type for JSON field:', typeof data, data, 'Returning fallback:', fallback);
+    return fallback;
+};
+
+// Transform a board_games row for the frontend
+// plays is the play log summary from playService.getPlaySummary()
+const transformBoardGame = (game, plays = new Map()) => ({
+    _id: game.id,
+    id: game.id,
+    name: game.name,
+    sortName: game.sort_name || game.name,
+    yearPublished: game.year_published,
+    minPlayers: game.min_players,
+    maxPlayers: game.max_players,
+    playingTime: game.playing_time,
+    minPlayingTime: game.min_playing_time,
+    maxPlayingTime: game.max_playing_time,
+    minAge: game.min_age,
+    description: game.description,
+    imageUrl: game.cover_image_local_path || game.image_url || '/images/board-games/missing-artwork.png',
+    thumbUrl: game.thumb_url,
+    mechanics: safeJsonParse(game.mechanics, []),
+    categories: safeJsonParse(game.categories, []),
+    designers: safeJsonParse(game.designers, []),
+    publishers: safeJsonParse(game.publishers, []),
+    artists: safeJsonParse(game.artists, []),
+    families: safeJsonParse(game.families, []),
+    rating: game.rating,
+    userRating: game.user_rating === null || game.user_rating === undefined ? null : Number(game.user_rating), // Owner's BGG rating
+    complexityRating: game.complexity_rating,
+    rank: game.rank,
+    wishlistPriority: game.wishlist_priority,
+    previouslyOwned: Boolean(game.previously_owned),
+    forTrade: Boolean(game.for_trade),
+    wantInTrade: Boolean(game.want_in_trade),
+    wantToPlay: Boolean(game.want_to_play),
+    wantToBuy: Boolean(game.want_to_buy),
+    preordered: Boolean(game.preordered),
+    comment: game.user_comment,
+    externalId: game.external_id,
+    isExpansion: Boolean(game.is_expansion),
+    baseGameIds: safeJsonParse(game.base_game_ids, []),
+    bggUrl: `https://boardgamegeek.com/boardgame/${game.external_id}`,
+    playCount: plays.get(game.external_id)?.playCount || 0,
+    lastPlayed: plays.get(game.external_id)?.lastPlayed || null,
+    dateAdded: game.date_added
+});
+
+// Show expansions under the first of their base games on the shelf, expansions of games not on it stay on their own
+const nestExpansions = (games) => {
+    const baseGameIds = new Set(games.filter(game => !game.isExpansion).map(game => game.externalId));
+    const expansionsByBaseGame = new Map();
+
+    const standalone = games.filter(game => {
+        const baseGameId = game.isExpansion && game.baseGameIds.find(id => baseGameIds.has(id));
+        if (!baseGameId) {
+            return true;
+        }
+        expansionsByBaseGame.set(baseGameId, [...(expansionsByBaseGame.get(baseGameId) || []), game]);
+        return false;
+    });
+
+    return standalone.map(game => expansionsByBaseGame.has(game.externalId) ? {
+        ...game,
+        expansions: expansionsByBaseGame.get(game.externalId).map(({ id, name, yearPublished, bggUrl, playCount, lastPlayed }) =>
+            ({ id, name, yearPublished, bggUrl, playCount, lastPlayed }))
+    } : game);
+};
+
+// Sort and filter by the owner's BGG rating, e.g. ?sort=rating or ?minRating=8
+const getRatingFilter = (req) => ({
+    ratingOptions: Array.from({ length: RATING_SCALES.board_games }, (_, index) => RATING_SCALES.board_games - index),
+    ratingOutOf: RATING_SCALES.board_games,
+    minRating: parseInt(req.query.minRating) || '',
+    sortByRating: req.query.sort === 'rating',
+    defaultSortName: 'By name'
+});
+
+const renderFilterError = (res, error) => res.status(400).render('error', {
+    error,
+    siteTitle: config.siteTitle,
+    publicUrl: config.publicUrl
+});
+
+// Links to every board games shelf for the sub menu
+const getShelfPaths = () => ({
+    collectionPath: '/game/',
+    wishlistPath: '/game/wishlist',
+    acquiredPath: '/game/acquired',
+    statusShelves: STATUS_SHELVES.map(({ slug, name }) => ({ slug, name, path: `/game/${slug}` }))
+});
+
+// Board games wishlist, grouped by BGG wishlist priority from "Must have" to "Don't buy this"
 router.get('/wishlist', async (req, res) => {
     try {
         if (!config.features.boardGamesEnabled) {
@@ -15,66 +135,32 @@ router.get('/wishlist', async (req, res) => {
             }
         }
 
+        const ratingError = getRatingQueryError(req.query, RATING_SCALES.board_games);
+        if (ratingError) {
+            return renderFilterError(res, ratingError);
+        }
+
         // Get all board games from wishlist
         const boardGames = await cachedDb.findMany('board_games', 
             { in_wishlist: true }, 
             'name, year_published'
         );
 
-        // Safe JSON parsing helper - same as collection
-        const safeJsonParse = (data, fallback = []) => {
-            if (!data || data === 'null' || data === 'undefined' || data === '') {
-                return fallback;
-            }
-            if (Array.isArray(data) || typeof data === 'object') {
-                return data;
-            }
-            if (typeof data === 'string') {
-                try {
-                    return JSON.parse(data);
-                } catch (e) {
-                    console.warn('Failed to parse JSON string:', data, 'Returning fallback:', fallback);
-                    return fallback;
-                }
-            }
-            console.warn('Unexpected data type for JSON field:', typeof data, data, 'Returning fallback:', fallback);
-            return fallback;
-        };
-
-        // Transform for frontend
-        const transformedBoardGames = boardGames.map(game => ({
-            _id: game.id,
-            id: game.id,
-            name: game.name,
-            sortName: game.sort_name || game.name,
-            yearPublished: game.year_published,
-            minPlayers: game.min_players,
-            maxPlayers: game.max_players,
-            playingTime: game.playing_time,
-            minPlayingTime: game.min_playing_time,
-            maxPlayingTime: game.max_playing_time,
-            minAge: game.min_age,
-            description: game.description,
-            publishers: safeJsonParse(game.publishers, []),
-            designers: safeJsonParse(game.designers, []),
-            artists: safeJsonParse(game.artists, []),
-            categories: safeJsonParse(game.categories, []),
-            mechanics: safeJsonParse(game.mechanics, []),
-            families: safeJsonParse(game.families, []),
-            thumbUrl: game.thumb_url,
-            coverImageUrl: game.cover_image_local_path || game.cover_image_url || game.thumb_url || '/images/board-games/missing-artwork.png',
-            bggUrl: `https://boardgamegeek.com/boardgame/${game.external_id}`,
-            dateAdded: game.date_added
-        }));
+        const plays = await playService.getPlaySummary();
+        const transformedBoardGames = filterByRating(boardGames, req.query.minRating).map(game => transformBoardGame(game, plays));
 
         res.render('boardGames', {
             boardGames: transformedBoardGames,
             boardGamesJson: JSON.stringify(transformedBoardGames),
-            gameCount: transformedBoardGames.length,
+            boardGameCount: transformedBoardGames.length,
             siteTitle: config.siteTitle,
             publicUrl: config.publicUrl,
-            menu: 'boardGames',
+            menu: 'board-games',
+            submenu: 'wishlist',
             wishlist: true, // Flag to indicate wishlist view
+            wishlistPrioritiesJson: JSON.stringify(WISHLIST_PRIORITIES),
+            ...getRatingFilter(req),
+            ...getShelfPaths(),
             recordShelfEnabled: config.features.recordsEnabled,
             boardGameShelfEnabled: config.features.boardGamesEnabled,
             bookShelfEnabled: config.features.booksEnabled
@@ -90,8 +176,10 @@ router.get('/wishlist', async (req, res) => {
     }
 });
 
-// Board games page
-router.get('/', async (req, res) => {
+// Board games on a status shelf: for trade, previously owned or pre-ordered
+router.get(`/:shelf(${STATUS_SHELVES.map(shelf => shelf.slug).join('|')})`, async (req, res) => {
+    const shelf = STATUS_SHELVES.find(statusShelf => statusShelf.slug === req.params.shelf);
+
     try {
         if (!config.features.boardGamesEnabled) {
             if (config.features.recordsEnabled) {
@@ -101,65 +189,134 @@ router.get('/', async (req, res) => {
             }
         }
 
-        // Get all board games from collection
-        const boardGames = await cachedDb.findMany('board_games', 
-            { in_collection: true }, 
-            'name, year_published'
-        );
+        const ratingError = getRatingQueryError(req.query, RATING_SCALES.board_games);
+        if (ratingError) {
+            return renderFilterError(res, ratingError);
+        }
 
-        // Safe JSON parsing helper - handles both JSONB objects and JSON strings
-        const safeJsonParse = (data, fallback = []) => {
-            // If data is null, undefined, or empty string, return fallback
-            if (!data || data === 'null' || data === 'undefined' || data === '') {
-                return fallback;
-            }
-            
-            // If data is already an array or object (JSONB from PostgreSQL), return it directly
-            if (Array.isArray(data) || typeof data === 'object') {
-                return data;
-            }
-            
-            // If data is a string, try to parse it as JSON
-            if (typeof data === 'string') {
-                try {
-                    return JSON.parse(data);
-                } catch (e) {
-                    console.warn('Failed to parse JSON string:', data, 'Returning fallback:', fallback);
-                    return fallback;
-                }
+        const boardGames = await cachedDb.findMany('board_games', { [shelf.column]: true }, 'name, year_published');
+
+        const plays = await playService.getPlaySummary();
+        const transformedBoardGames = filterByRating(boardGames, req.query.minRating).map(game => transformBoardGame(game, plays));
+
+        res.render('boardGames', {
+            boardGames: transformedBoardGames,
+            boardGamesJson: JSON.stringify(transformedBoardGames),
+            boardGameCount: transformedBoardGames.length,
+            siteTitle: config.siteTitle,
+            publicUrl: config.publicUrl,
+            menu: 'board-games',
+            submenu: shelf.slug,
+            shelfName: shelf.name,
+            ...getRatingFilter(req),
+            ...getShelfPaths(),
+            recordShelfEnabled: config.features.recordsEnabled,
+            boardGameShelfEnabled: config.features.boardGamesEnabled,
+            bookShelfEnabled: config.features.booksEnabled
+        });
+
+    } catch (error) {
+        console.error(`Error loading ${shelf.name.toLowerCase()} board games:`, error);
+        res.status(500).render('error', {
+            error: `Failed to load ${shelf.name.toLowerCase()} board games`,
+            siteTitle: config.siteTitle,
+            publicUrl: config.publicUrl
+        });
+    }
+});
+
+// Board games recently acquired from the wishlist, newest first
+router.get('/acquired', async (req, res) => {
+    try {
+        if (!config.features.boardGamesEnabled) {
+            if (config.features.recordsEnabled) {
+                return res.redirect('/');
+            } else {
+                return res.redirect('/book');
             }
-            
-            // For any other data type, return fallback
-            console.warn('Unexpected data type for JSON field:', typeof data, data, 'Returning fallback:', fallback);
-            return fallback;
-        };
-
-        // Transform for frontend
-        const transformedBoardGames = boardGames.map(game => ({
-            id: game.id,
-            name: game.name,
-            yearPublished: game.year_published,
-            minPlayers: game.min_players,
-            maxPlayers: game.max_players,
-            playingTime: game.playing_time,
-            minAge: game.min_age,
-            description: game.description,
-            imageUrl: game.cover_image_local_path || game.image_url || '/images/board-games/missing-artwork.png',
-            thumbUrl: game.thumb_url,
-            mechanics: safeJsonParse(game.mechanics, []),
-            categories: safeJsonParse(game.categories, []),
-            rating: game.rating,
-            complexityRating: game.complexity_rating,
-            rank: game.rank,
-            dateAdded: game.date_added
-        }));
+        }
+
+        const [acquisitions, plays] = await Promise.all([
+            acquisitionService.getAcquisitions({ service: 'boardgamegeek', limit: 100 }),
+            playService.getPlaySummary()
+        ]);
+
+        // Games removed from the collection since have nothing left to show
+        const transformedBoardGames = acquisitions
+            .filter(acquisition => acquisition.item)
+            .map(acquisition => ({
+                ...transformBoardGame(acquisition.item, plays),
+                acquiredAt: acquisition.acquired_at,
+                daysOnWishlist: acquisition.days_on_wishlist
+            }));
 
         res.render('boardGames', {
             boardGames: transformedBoardGames,
+            boardGamesJson: JSON.stringify(transformedBoardGames),
+            boardGameCount: transformedBoardGames.length,
+            siteTitle: config.siteTitle,
+            publicUrl: config.publicUrl,
+            menu: 'board-games',
+            submenu: 'acquired',
+            acquired: true,
+            ...getShelfPaths(),
+            recordShelfEnabled: config.features.recordsEnabled,
+            boardGameShelfEnabled: config.features.boardGamesEnabled,
+            bookShelfEnabled: config.features.booksEnabled
+        });
+
+    } catch (error) {
+        console.error('Error loading acquired board games:', error);
+        res.status(500).render('error', {
+            error: 'Failed to load acquired board games',
+            siteTitle: config.siteTitle,
+            publicUrl: config.publicUrl
+        });
+    }
+});
+
+// Board games page
+router.get('/', async (req, res) => {
+    try {
+        if (!config.features.boardGamesEnabled) {
+            if (config.features.recordsEnabled) {
+                return res.redirect('/');
+            } else {
+                return res.redirect('/book');
+            }
+        }
+
+        const ratingError = getRatingQueryError(req.query, RATING_SCALES.board_games);
+        if (ratingError) {
+            return renderFilterError(res, ratingError);
+        }
+
+        // Get all board games from collection, or as of ?asOf=YYYY-MM-DD from item history
+        const asOf = itemHistoryService.parseAsOf(req.query.asOf);
+        const boardGames = asOf
+            ? await itemHistoryService.getShelfAsOf('board_games', asOf, { in_collection: true })
+            : await cachedDb.findMany('board_games', { in_collection: true }, 'name, year_published');
+
+        // ?hideExpansions=1 leaves expansions off the shelf entirely and ?minRating=8 keeps games rated at least that well
+        const hideExpansions = req.query.hideExpansions === '1';
+        const plays = await playService.getPlaySummary();
+        const transformedBoardGames = filterByRating(boardGames, req.query.minRating)
+            .filter(game => !hideExpansions || !game.is_expansion)
+            .map(game => transformBoardGame(game, plays));
+        const nestedBoardGames = nestExpansions(transformedBoardGames);
+
+        res.render('boardGames', {
+            boardGames: nestedBoardGames,
+            boardGamesJson: JSON.stringify(nestedBoardGames),
             boardGameCount: transformedBoardGames.length,
             siteTitle: config.siteTitle,
             publicUrl: config.publicUrl,
             menu: 'board-games',
+            submenu: 'collection',
+            expansionToggle: true,
+            hideExpansions,
+            ...getRatingFilter(req),
+            ...getShelfPaths(),
             recordShelfEnabled: config.features.recordsEnabled,
             boardGameShelfEnabled: config.features.boardGamesEnabled,
             bookShelfEnabled: config.features.booksEnabled
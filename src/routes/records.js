@@ -1,9 +1,116 @@
 import express from 'express';
+import db from '../database/db.js';
 import cachedDb from '../services/cachedDbService.js';
 import config from '../config/index.js';
+import acquisitionService from '../services/acquisitionService.js';
+import itemHistoryService from '../services/itemHistoryService.js';
+import masterReleaseService from '../services/masterReleaseService.js';
+import recordFolderService from '../services/recordFolderService.js';
+import recordFieldService from '../services/recordFieldService.js';
+import { CONDITION_GRADES, getConditionGrade } from '../common/conditionGrades.js';
+import { getArtistNames } from '../common/artistCredits.js';
+import { RATING_SCALES, getRatingQueryError, filterByRating } from '../common/ratings.js';
 
 const router = express.Router();
 
+// Safe JSON parsing helper - handles both JSONB objects and JSON strings
+const safeJsonParse = (data, fallback = []) => {
+    // If data is null, undefined, or empty string, return fallback
+    if (!data || data === 'null' || data === 'undefined' || data === '') {
+        return fallback;
+    }
+    
+    // If data is already an array or object (JSONB from PostgreSQL), return it directly
+    if (Array.isArray(data) || typeof data === 'object') {
+        return data;
+    }
+    
+    // If data is a string, try to parse it as JSON
+    if (typeof data === 'string') {
+        try {
+            return JSON.parse(data);
+        } catch (e) {
+            console.warn('Failed to parse JSON string:', data, 'Returning fallback:', fallback);
+            return fallback;
+        }
+    }
+    
+    // For any other data type, return fallback
+    console.warn('Unexpected data type for JSON field:', typeof data, data, 'Returning fallback:', fallback);
+    return fallback;
+};
+
+// Short grade for a card, e.g. VG+, or the value as is for ungraded sleeves like Generic
+const formatCondition = (value) => getConditionGrade(value)?.grade || value || null;
+
+// Transform a records row for the frontend, leaving out collection fields that aren't public
+const transformRecord = (row) => {
+    const record = recordFieldService.toPublic(row);
+    return {
+        _id: record.id, // Vue template expects _id
+        id: record.id,
+        artist: record.artist,
+        sortArtist: record.sort_artist || record.artist,
+        artistNames: getArtistNames(safeJsonParse(record.artists, [])), // Every credited artist, so search finds splits and collaborations
+        title: record.title,
+        yearOfOriginalRelease: record.year_of_original_release,
+        yearOfRelease: record.year_of_release,
+        format: record.format,
+        country: record.country,
+        label: record.label,
+        catalogNumber: record.catalog_number,
+        genres: safeJsonParse(record.genres, []),
+        styles: safeJsonParse(record.styles, []),
+        thumbUrl: record.thumb_url,
+        coverImageUrl: record.cover_image_local_path || record.cover_image_url || record.thumb_url || '/images/records/missing-artwork.png',
+        discogsUrl: `https://www.discogs.com/release/${record.external_id}`, // Generate Discogs URL
+        masterId: record.master_id,
+        mediaCondition: formatCondition(record.media_condition),
+        sleeveCondition: formatCondition(record.sleeve_condition),
+        customFields: record.custom_fields,
+        userRating: record.user_rating, // Owner's Discogs stars, null when unrated
+        dateAdded: record.date_added
+    };
+};
+
+// Condition filter options, only offered when media condition is public
+const getConditionFilter = (req) => recordFieldService.isPublic('Media Condition') ? {
+    conditionGrades: CONDITION_GRADES,
+    minCondition: getConditionGrade(req.query.minCondition)?.grade || ''
+} : {};
+
+// Sort and filter by the owner's rating, e.g. ?sort=rating or ?minRating=5 for 5-star records
+const getRatingFilter = (req) => ({
+    ratingOptions: Array.from({ length: RATING_SCALES.records }, (_, index) => RATING_SCALES.records - index),
+    minRating: parseInt(req.query.minRating) || '',
+    sortByRating: req.query.sort === 'rating',
+    showRatingStars: config.features.showRatingStars
+});
+
+// Why the condition and rating query parameters can't be used, if they can't
+const getFilterError = (query) => recordFieldService.getConditionFilterError(query) || getRatingQueryError(query, RATING_SCALES.records);
+
+// Apply ?minCondition=VG%2B and ?minRating=5 to records rows
+const filterRecords = (records, query) => filterByRating(recordFieldService.filterByCondition(records, query), query.minRating);
+
+const renderFilterError = (res, error) => res.status(400).render('error', {
+    error,
+    siteTitle: config.siteTitle,
+    publicUrl: config.publicUrl
+});
+
+// Show pressings of the same album as one stack, fronted by the first pressing and linking to the master
+const stackPressings = (records) => masterReleaseService
+    .groupPressings(records, record => record.masterId)
+    .map(([first, ...others]) => others.length === 0 ? first : {
+        ...first,
+        discogsUrl: `https://www.discogs.com/master/${first.masterId}`,
+        pressingCount: others.length + 1,
+        userRating: Math.max(...[first, ...others].map(record => record.userRating || 0)) || null, // Best rated pressing
+        pressings: [first, ...others].map(({ id, yearOfRelease, format, country, label, catalogNumber, mediaCondition, discogsUrl }) =>
+            ({ id, yearOfRelease, format, country, label, catalogNumber, mediaCondition, discogsUrl }))
+    });
+
 // Records wishlist
 router.get('/wishlist', async (req, res) => {
     try {
@@ -11,64 +118,34 @@ router.get('/wishlist', async (req, res) => {
             return res.redirect('/game');
         }
 
+        const filterError = getRatingQueryError(req.query, RATING_SCALES.records);
+        if (filterError) {
+            return renderFilterError(res, filterError);
+        }
+
         // Get all records from wishlist (cached)
         const records = await cachedDb.findMany('records', 
             { in_wishlist: true }, 
             'sort_artist, year_of_original_release, title'
         );
 
-        // Safe JSON parsing helper - same as collection
-        const safeJsonParse = (data, fallback = []) => {
-            if (!data || data === 'null' || data === 'undefined' || data === '') {
-                return fallback;
-            }
-            if (Array.isArray(data) || typeof data === 'object') {
-                return data;
-            }
-            if (typeof data === 'string') {
-                try {
-                    return JSON.parse(data);
-                } catch (e) {
-                    console.warn('Failed to parse JSON string:', data, 'Returning fallback:', fallback);
-                    return fallback;
-                }
-            }
-            console.warn('Unexpected data type for JSON field:', typeof data, data, 'Returning fallback:', fallback);
-            return fallback;
-        };
-
-        // Transform for frontend - same as collection
-        const transformedRecords = records.map(record => ({
-            _id: record.id,
-            id: record.id,
-            artist: record.artist,
-            sortArtist: record.sort_artist || record.artist,
-            title: record.title,
-            yearOfOriginalRelease: record.year_of_original_release,
-            yearOfRelease: record.year_of_release,
-            format: record.format,
-            country: record.country,
-            label: record.label,
-            catalogNumber: record.catalog_number,
-            genres: safeJsonParse(record.genres, []),
-            styles: safeJsonParse(record.styles, []),
-            thumbUrl: record.thumb_url,
-            coverImageUrl: record.cover_image_local_path || record.cover_image_url || record.thumb_url || '/images/records/missing-artwork.png',
-            discogsUrl: `https://www.discogs.com/release/${record.external_id}`,
-            dateAdded: record.date_added
-        }));
+        const transformedRecords = filterByRating(records, req.query.minRating).map(transformRecord);
+        const stackedRecords = stackPressings(transformedRecords);
 
         res.render('records', {
-            records: transformedRecords,
-            recordsJson: JSON.stringify(transformedRecords),
+            records: stackedRecords,
+            recordsJson: JSON.stringify(stackedRecords),
             recordCount: transformedRecords.length,
             siteTitle: config.siteTitle,
             publicUrl: config.publicUrl,
             menu: 'records',
             submenu: 'wishlist', // Active navigation state
             wishlist: true, // Flag to indicate this is wishlist view
+            ...getRatingFilter(req),
             collectionPath: '/',
             wishlistPath: '/record/wishlist',
+            acquiredPath: '/record/acquired',
+            folders: await recordFolderService.getPublicFolders(),
             recordShelfEnabled: config.features.recordsEnabled,
             boardGameShelfEnabled: config.features.boardGamesEnabled,
             bookShelfEnabled: config.features.booksEnabled
@@ -84,77 +161,151 @@ router.get('/wishlist', async (req, res) => {
     }
 });
 
-// Records homepage
-router.get('/', async (req, res) => {
+// Records recently acquired from the wishlist, newest first
+router.get('/acquired', async (req, res) => {
     try {
         if (!config.features.recordsEnabled) {
             return res.redirect('/game');
         }
 
-        // Get all records from collection (cached)
-        const records = await cachedDb.findMany('records', 
-            { in_collection: true }, 
-            'sort_artist, year_of_original_release, title'
-        );
+        const acquisitions = await acquisitionService.getAcquisitions({ service: 'discogs', limit: 100 });
 
-        // Safe JSON parsing helper - handles both JSONB objects and JSON strings
-        const safeJsonParse = (data, fallback = []) => {
-            // If data is null, undefined, or empty string, return fallback
-            if (!data || data === 'null' || data === 'undefined' || data === '') {
-                return fallback;
-            }
-            
-            // If data is already an array or object (JSONB from PostgreSQL), return it directly
-            if (Array.isArray(data) || typeof data === 'object') {
-                return data;
-            }
-            
-            // If data is a string, try to parse it as JSON
-            if (typeof data === 'string') {
-                try {
-                    return JSON.parse(data);
-                } catch (e) {
-                    console.warn('Failed to parse JSON string:', data, 'Returning fallback:', fallback);
-                    return fallback;
-                }
-            }
-            
-            // For any other data type, return fallback
-            console.warn('Unexpected data type for JSON field:', typeof data, data, 'Returning fallback:', fallback);
-            return fallback;
-        };
-
-        // Transform for frontend
-        const transformedRecords = records.map(record => ({
-            _id: record.id, // Vue template expects _id
-            id: record.id,
-            artist: record.artist,
-            sortArtist: record.sort_artist || record.artist,
-            title: record.title,
-            yearOfOriginalRelease: record.year_of_original_release,
-            yearOfRelease: record.year_of_release,
-            format: record.format,
-            country: record.country,
-            label: record.label,
-            catalogNumber: record.catalog_number,
-            genres: safeJsonParse(record.genres, []),
-            styles: safeJsonParse(record.styles, []),
-            thumbUrl: record.thumb_url,
-            coverImageUrl: record.cover_image_local_path || record.cover_image_url || record.thumb_url || '/images/records/missing-artwork.png',
-            discogsUrl: `https://www.discogs.com/release/${record.external_id}`, // Generate Discogs URL
-            dateAdded: record.date_added
-        }));
+        // Records removed from the collection since have nothing left to show
+        const transformedRecords = acquisitions
+            .filter(acquisition => acquisition.item)
+            .map(acquisition => ({
+                ...transformRecord(acquisition.item),
+                acquiredAt: acquisition.acquired_at,
+                daysOnWishlist: acquisition.days_on_wishlist
+            }));
 
         res.render('records', {
             records: transformedRecords,
-            recordsJson: JSON.stringify(transformedRecords), // Pass as JSON string
+            recordsJson: JSON.stringify(transformedRecords),
             recordCount: transformedRecords.length,
             siteTitle: config.siteTitle,
             publicUrl: config.publicUrl,
             menu: 'records',
+            submenu: 'acquired', // Active navigation state
+            acquired: true, // Keep acquisition order rather than sorting by artist
+            showRatingStars: config.features.showRatingStars,
+            collectionPath: '/',
+            wishlistPath: '/record/wishlist',
+            acquiredPath: '/record/acquired',
+            folders: await recordFolderService.getPublicFolders(),
+            recordShelfEnabled: config.features.recordsEnabled,
+            boardGameShelfEnabled: config.features.boardGamesEnabled,
+            bookShelfEnabled: config.features.booksEnabled
+        });
+
+    } catch (error) {
+        console.error('Error loading acquired records:', error);
+        res.status(500).render('error', {
+            error: 'Failed to load acquired records',
+            siteTitle: config.siteTitle,
+            publicUrl: config.publicUrl
+        });
+    }
+});
+
+// Records in one of the public Discogs collection folders
+router.get('/folder/:slug', async (req, res) => {
+    try {
+        if (!config.features.recordsEnabled) {
+            return res.redirect('/game');
+        }
+
+        const folder = await recordFolderService.getPublicFolder(req.params.slug);
+        if (!folder) {
+            return res.status(404).render('error', {
+                error: 'Folder not found',
+                siteTitle: config.siteTitle,
+                publicUrl: config.publicUrl
+            });
+        }
+
+        const filterError = getFilterError(req.query);
+        if (filterError) {
+            return renderFilterError(res, filterError);
+        }
+
+        const result = await db.query(`
+            SELECT * FROM records
+            WHERE in_collection = true AND folder_ids @> $1::jsonb
+            ORDER BY sort_artist, year_of_original_release, title
+        `, [JSON.stringify([folder.folder_id])]);
+
+        // ?minCondition=VG%2B and ?minRating=5 narrow to records graded and rated at least that well
+        const transformedRecords = filterRecords(result.rows, req.query).map(transformRecord);
+        const stackedRecords = stackPressings(transformedRecords);
+
+        res.render('records', {
+            records: stackedRecords,
+            recordsJson: JSON.stringify(stackedRecords),
+            recordCount: transformedRecords.length,
+            siteTitle: config.siteTitle,
+            publicUrl: config.publicUrl,
+            menu: 'records',
+            submenu: 'folder', // Active navigation state
+            folderSlug: folder.slug,
+            listName: folder.name,
+            ...getConditionFilter(req),
+            ...getRatingFilter(req),
+            collectionPath: '/',
+            wishlistPath: '/record/wishlist',
+            acquiredPath: '/record/acquired',
+            folders: await recordFolderService.getPublicFolders(),
+            recordShelfEnabled: config.features.recordsEnabled,
+            boardGameShelfEnabled: config.features.boardGamesEnabled,
+            bookShelfEnabled: config.features.booksEnabled
+        });
+
+    } catch (error) {
+        console.error(`Error loading records folder ${req.params.slug}:`, error);
+        res.status(500).render('error', {
+            error: 'Failed to load records folder',
+            siteTitle: config.siteTitle,
+            publicUrl: config.publicUrl
+        });
+    }
+});
+
+// Records homepage
+router.get('/', async (req, res) => {
+    try {
+        if (!config.features.recordsEnabled) {
+            return res.redirect('/game');
+        }
+
+        const filterError = getFilterError(req.query);
+        if (filterError) {
+            return renderFilterError(res, filterError);
+        }
+
+        // Get all records from collection (cached), or as of ?asOf=YYYY-MM-DD from item history
+        const asOf = itemHistoryService.parseAsOf(req.query.asOf);
+        const records = asOf
+            ? await itemHistoryService.getShelfAsOf('records', asOf, { in_collection: true })
+            : await cachedDb.findMany('records', { in_collection: true }, 'sort_artist, year_of_original_release, title');
+
+        // ?minCondition=VG%2B and ?minRating=5 narrow to records graded and rated at least that well
+        const transformedRecords = filterRecords(records, req.query).map(transformRecord);
+        const stackedRecords = stackPressings(transformedRecords);
+
+        res.render('records', {
+            records: stackedRecords,
+            recordsJson: JSON.stringify(stackedRecords), // Pass as JSON string
+            recordCount: transformedRecords.length, // Pressings, not stacks
+            siteTitle: config.siteTitle,
+            publicUrl: config.publicUrl,
+            menu: 'records',
             submenu: 'collection', // Active navigation state
+            ...getConditionFilter(req),
+            ...getRatingFilter(req),
             collectionPath: '/',
             wishlistPath: '/record/wishlist',
+            acquiredPath: '/record/acquired',
+            folders: await recordFolderService.getPublicFolders(),
             recordShelfEnabled: config.features.recordsEnabled,
             boardGameShelfEnabled: config.features.boardGamesEnabled,
             bookShelfEnabled: config.features.booksEnabled
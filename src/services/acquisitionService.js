@@ -0,0 +1,113 @@
+import db from '../database/db.js';
+import providerRegistry from '../providers/index.js';
+import itemHistoryService from './itemHistoryService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Acquisition Service
+ * Records wishlist items moving into the collection, which the sources themselves don't keep
+ */
+class AcquisitionService {
+    /**
+     * Compare an item's shelf flags before and after a sync and record any acquisition
+     * @param {SourceProvider} provider - Provider the item came from
+     * @param {Object|undefined} known - The item's row before this sync, if it existed
+     * @param {Object} row - The item's row after this sync
+     */
+    async trackTransition(provider, known, row) {
+        try {
+            // Tables are rebuilt on startup, so fall back to the last snapshot item history took
+            known = known || await itemHistoryService.getLatestSnapshot(provider.table, row.external_id);
+            if (!known) {
+                return;
+            }
+
+            if (!known.in_collection && known.in_wishlist && row.in_collection) {
+                await this.recordAcquisition(provider, known, row);
+            } else if (known.in_collection && known.in_wishlist && row.in_collection && !row.in_wishlist) {
+                await this.markLeftWishlist(provider, row);
+            }
+        } catch (error) {
+            // Losing history should never fail the sync itself
+            console.error(`Failed to track acquisition of ${provider.describeItem(row)}:`, error.message);
+        }
+    }
+
+    async recordAcquisition(provider, known, row) {
+        const wishlistedAt = known.date_added ? new Date(known.date_added) : null;
+        // Without a real date added from the source, the sync noticing the move is the closest there is
+        const acquiredAt = provider.sourceDateAdded && row.date_added ? new Date(row.date_added) : new Date();
+        const daysOnWishlist = wishlistedAt
+            ? Math.max(0, Math.floor((acquiredAt - wishlistedAt) / DAY_MS))
+            : null;
+
+        await db.insert('acquisitions', {
+            service: provider.name,
+            external_id: row.external_id,
+            title: row.title || row.name || null,
+            artist: row.artist || null,
+            wishlisted_at: wishlistedAt,
+            acquired_at: acquiredAt,
+            // Items bought off a wishlist often stay on it until the next tidy up
+            left_wishlist_at: row.in_wishlist ? null : new Date(),
+            days_on_wishlist: daysOnWishlist
+        });
+
+        console.log(`Acquired ${provider.describeItem(row)} from wishlist after ${daysOnWishlist ?? '?'} days`);
+    }
+
+    async markLeftWishlist(provider, row) {
+        await db.query(`
+            UPDATE acquisitions
+            SET left_wishlist_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE service = $1 AND external_id = $2 AND left_wishlist_at IS NULL
+        `, [provider.name, row.external_id]);
+    }
+
+    /**
+     * List acquisitions, most recent first, each with the item's current row
+     * @param {Object} options - Optional service filter, since date and limit
+     * @returns {Promise<Array>} - Acquisitions with an item property, null if the item was since removed
+     */
+    async getAcquisitions({ service = null, since = null, limit = 50 } = {}) {
+        const conditions = [];
+        const values = [];
+
+        if (service) {
+            values.push(service);
+            conditions.push(`service = $${values.length}`);
+        }
+        if (since) {
+            values.push(since);
+            conditions.push(`acquired_at >= $${values.length}`);
+        }
+        values.push(limit);
+
+        const result = await db.query(`
+            SELECT * FROM acquisitions
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY acquired_at DESC
+            LIMIT $${values.length}
+        `, values);
+        const acquisitions = result.rows;
+
+        // Attach the current row of each item from its provider's table
+        for (const name of new Set(acquisitions.map(acquisition => acquisition.service))) {
+            const provider = providerRegistry.get(name);
+            const ids = acquisitions.filter(acquisition => acquisition.service === name).map(acquisition => acquisition.external_id);
+            const items = provider
+                ? (await db.query(`SELECT * FROM ${provider.table} WHERE external_id = ANY($1)`, [ids])).rows
+                : [];
+            const itemsById = new Map(items.map(item => [item.external_id, item]));
+
+            for (const acquisition of acquisitions.filter(acquisition => acquisition.service === name)) {
+                acquisition.item = itemsById.get(acquisition.external_id) || null;
+            }
+        }
+
+        return acquisitions;
+    }
+}
+
+export default new AcquisitionService();
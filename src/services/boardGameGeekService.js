@@ -9,9 +9,21 @@ class BoardGameGeekService {
         this.baseUrl = config.boardGameGeek.baseUrl;
         this.userId = config.boardGameGeek.userId;
         this.userAgent = config.boardGameGeek.userAgent;
+        this.queuedMaxAttempts = config.boardGameGeek.queuedMaxAttempts;
+        this.queuedRetryDelayMs = config.boardGameGeek.queuedRetryDelayMs;
+        this.maxQueuedRetryDelayMs = 2 * 60 * 1000;
     }
 
-    async makeRequest(endpoint, params = {}) {
+    /**
+     * Make a request to the BGG XML API and convert the response to JSON
+     * BGG queues collection exports and answers 202 until they're ready, so queued responses are
+     * retried with a doubling delay; a collection still queued after queuedMaxAttempts fails the request
+     * @param {string} endpoint - API path, e.g. /collection
+     * @param {Object} params - Query parameters
+     * @param {AbortSignal|null} signal - Aborts the request, the rate limit pause and queued retries
+     * @returns {Promise<Object>} - Compact xml-js JSON
+     */
+    async makeRequest(endpoint, params = {}, signal = null) {
         const url = new URL(`${this.baseUrl}${endpoint}`);
         
         // Add parameters
@@ -24,37 +36,58 @@ class BoardGameGeekService {
                 'User-Agent': this.userAgent,
                 'Accept': 'application/xml'
             },
-            timeout: config.api.requestTimeoutMs
+            timeout: config.api.requestTimeoutMs,
+            signal
         };
 
         try {
-            console.log(`BGG API request: ${url.pathname}`);
-            const response = await fetch(url.toString(), options);
+            for (let attempt = 1; ; attempt++) {
+                console.log(`BGG API request: ${url.pathname}`);
+                const response = await fetch(url.toString(), options);
 
-            if (!response.ok) {
-                throw new Error(`BGG API error: ${response.status} ${response.statusText}`);
-            }
+                if (!response.ok) {
+                    throw new Error(`BGG API error: ${response.status} ${response.statusText}`);
+                }
 
-            const xmlData = await response.text();
-            
-            // Convert XML to JSON
-            const jsonData = xmljs.xml2js(xmlData, { 
-                compact: true, 
-                sanitize: true,
-                textKey: '_text'
-            });
-            
-            // Respect rate limits (BGG is strict about this)
-            await setTimeout(config.api.rateLimitDelay * 2); // Double delay for BGG
-            
-            return jsonData;
+                const xmlData = await response.text();
+                
+                // Convert XML to JSON
+                const jsonData = xmljs.xml2js(xmlData, { 
+                    compact: true, 
+                    sanitize: true,
+                    textKey: '_text'
+                });
+
+                // 202, sometimes with a "request accepted" <message>, means the answer isn't ready yet
+                if (response.status === 202 || jsonData.message) {
+                    if (attempt >= this.queuedMaxAttempts) {
+                        throw new Error(`BGG API still preparing ${url.pathname} after ${attempt} attempts`);
+                    }
+
+                    const delay = Math.min(this.maxQueuedRetryDelayMs, this.queuedRetryDelayMs * 2 ** (attempt - 1));
+                    console.log(`BGG API queued ${url.pathname}, retrying in ${delay / 1000}s (attempt ${attempt}/${this.queuedMaxAttempts})`);
+                    await setTimeout(delay, undefined, { signal: signal || undefined });
+                    continue;
+                }
+                
+                // Respect rate limits (BGG is strict about this)
+                await setTimeout(config.api.rateLimitDelay * 2, undefined, { signal: signal || undefined }); // Double delay for BGG
+                
+                return jsonData;
+            }
         } catch (error) {
             console.error('BGG API request failed:', error);
             throw error;
         }
     }
 
-    async getUserCollection() {
+    /**
+     * Collection entries with a status set, the owned games by default
+     * BGG ignores filters it doesn't know and returns the whole collection instead
+     * @param {AbortSignal|null} signal
+     * @param {string} filter - BGG collection filter, e.g. own, prevowned, trade or preordered
+     */
+    async getUserCollection(signal = null, filter = 'own') {
         if (!this.userId) {
             throw new Error('BoardGameGeek user ID not configured');
         }
@@ -62,14 +95,14 @@ class BoardGameGeekService {
         const endpoint = '/collection';
         const params = {
             username: this.userId,
-            own: '1',
+            [filter]: '1',
             stats: '1'
         };
 
-        return await this.makeRequest(endpoint, params);
+        return await this.makeRequest(endpoint, params, signal);
     }
 
-    async getUserWishlist() {
+    async getUserWishlist(signal = null) {
         if (!this.userId) {
             throw new Error('BoardGameGeek user ID not configured');
         }
@@ -81,10 +114,30 @@ class BoardGameGeekService {
             stats: '1'
         };
 
-        return await this.makeRequest(endpoint, params);
+        return await this.makeRequest(endpoint, params, signal);
     }
 
-    async getGameDetails(gameIds) {
+    /**
+     * One page of the user's logged plays, newest first, 100 per page
+     */
+    async getUserPlays(page = 1, signal = null, minDate = null) {
+        if (!this.userId) {
+            throw new Error('BoardGameGeek user ID not configured');
+        }
+
+        const endpoint = '/plays';
+        const params = {
+            username: this.userId,
+            page: page.toString()
+        };
+        if (minDate) {
+            params.mindate = minDate;
+        }
+
+        return await this.makeRequest(endpoint, params, signal);
+    }
+
+    async getGameDetails(gameIds, signal = null) {
         if (!gameIds || gameIds.length === 0) {
             return null;
         }
@@ -95,34 +148,43 @@ class BoardGameGeekService {
             stats: '1'
         };
 
-        return await this.makeRequest(endpoint, params);
+        return await this.makeRequest(endpoint, params, signal);
     }
 
-    async getAllCollectionItems() {
+    async getAllCollectionItems({ filter = 'own', signal = null } = {}) {
         try {
-            const response = await this.getUserCollection();
+            const response = await this.getUserCollection(signal, filter);
             
-            if (!response.items || !response.items.item) {
-                console.log('No collection items found');
+            // An unfinished or error response has no <items>, only a truly empty collection may return []
+            if (!response.items) {
+                throw new Error(`BGG API returned no collection: ${this.getTextValue(response.errors?.error?.message) || 'unexpected response'}`);
+            }
+            if (!response.items.item) {
+                console.log(`No ${filter} collection items found`);
                 return [];
             }
 
             // Handle single item vs array
             const items = Array.isArray(response.items.item) ? response.items.item : [response.items.item];
             
-            console.log(`Total BGG collection items fetched: ${items.length}`);
+            console.log(`Total BGG ${filter} collection items fetched: ${items.length}`);
             return items;
         } catch (error) {
+            // Returning an empty list here would make every game look removed
             console.error('Error fetching BGG collection:', error);
-            return [];
+            throw error;
         }
     }
 
-    async getAllWishlistItems() {
+    async getAllWishlistItems({ signal = null } = {}) {
         try {
-            const response = await this.getUserWishlist();
+            const response = await this.getUserWishlist(signal);
             
-            if (!response.items || !response.items.item) {
+            // An unfinished or error response has no <items>, only a truly empty wishlist may return []
+            if (!response.items) {
+                throw new Error(`BGG API returned no wishlist: ${this.getTextValue(response.errors?.error?.message) || 'unexpected response'}`);
+            }
+            if (!response.items.item) {
                 console.log('No wishlist items found');
                 return [];
             }
@@ -133,14 +195,51 @@ class BoardGameGeekService {
             console.log(`Total BGG wishlist items fetched: ${items.length}`);
             return items;
         } catch (error) {
+            // Returning an empty list here would make every game look removed
             console.error('Error fetching BGG wishlist:', error);
-            return [];
+            throw error;
+        }
+    }
+
+    /**
+     * Every play the user has logged, or only those played on or after minDate
+     * @param {Object} options - { minDate: YYYY-MM-DD, signal }
+     */
+    async getAllPlays({ minDate = null, signal = null } = {}) {
+        const allPlays = [];
+        let page = 1;
+        let hasMorePages = true;
+
+        while (hasMorePages) {
+            signal?.throwIfAborted();
+            const response = await this.getUserPlays(page, signal, minDate);
+
+            // Like the collection, a response without <plays> is an error rather than no plays
+            if (!response.plays) {
+                throw new Error(`BGG API returned no plays: ${this.getTextValue(response.errors?.error?.message) || 'unexpected response'}`);
+            }
+
+            const plays = response.plays.play
+                ? (Array.isArray(response.plays.play) ? response.plays.play : [response.plays.play])
+                : [];
+            allPlays.push(...plays);
+
+            const total = parseInt(this.getAttribute(response.plays, 'total')) || 0;
+            hasMorePages = plays.length > 0 && allPlays.length < total;
+            console.log(`Fetched page ${page}/${Math.ceil(total / 100) || 1} of BGG plays`);
+            page++;
         }
+
+        console.log(`Total BGG plays fetched: ${allPlays.length}`);
+        return allPlays;
     }
 
     transformToBoardGame(item, isWishlist = false) {
         const stats = item.stats || {};
         const rating = stats.rating || {};
+        const hasStatus = (name) => this.getAttribute(item.status, name) === '1';
+        // Entries fetched for another status, like previously owned, aren't in the collection
+        const owned = item.status ? hasStatus('own') : !isWishlist;
         
         return {
             external_id: this.getAttribute(item, 'objectid'),
@@ -149,17 +248,35 @@ class BoardGameGeekService {
             min_players: parseInt(this.getTextValue(item.stats?.minplayers)) || null,
             max_players: parseInt(this.getTextValue(item.stats?.maxplayers)) || null,
             playing_time: parseInt(this.getTextValue(item.stats?.playingtime)) || null,
+            min_playing_time: parseInt(this.getAttribute(item.stats, 'minplaytime')) || null,
+            max_playing_time: parseInt(this.getAttribute(item.stats, 'maxplaytime')) || null,
             min_age: parseInt(this.getTextValue(item.stats?.minage)) || null,
             description: null, // Not available in collection API
             image_url: this.getTextValue(item.image),
             thumb_url: this.getTextValue(item.thumbnail),
             mechanics: JSON.stringify([]), // Would need separate API call
             categories: JSON.stringify([]), // Would need separate API call
+            designers: JSON.stringify([]),
+            publishers: JSON.stringify([]),
+            artists: JSON.stringify([]),
+            families: JSON.stringify([]),
             rating: parseFloat(this.getTextValue(rating.average)) || null,
+            user_rating: parseFloat(this.getAttribute(rating, 'value')) || null, // N/A when unrated
             complexity_rating: parseFloat(this.getTextValue(rating.averageweight)) || null,
             rank: parseInt(this.getTextValue(rating.ranks?.rank?.value)) || null,
-            date_added: new Date(),
-            in_collection: !isWishlist,
+            // The collection lists expansions as boardgame too, /thing details tell them apart
+            is_expansion: this.getAttribute(item, 'subtype') === 'boardgameexpansion',
+            base_game_ids: JSON.stringify([]),
+            previously_owned: hasStatus('prevowned'),
+            for_trade: hasStatus('fortrade'),
+            want_in_trade: hasStatus('want'),
+            want_to_play: hasStatus('wanttoplay'),
+            want_to_buy: hasStatus('wanttobuy'),
+            preordered: hasStatus('preordered'),
+            wishlist_priority: hasStatus('wishlist') ? parseInt(this.getAttribute(item.status, 'wishlistpriority')) || null : null,
+            user_comment: this.getTextValue(item.comment),
+            date_added: this.getLastModified(item) || new Date(),
+            in_collection: !isWishlist && owned,
             in_wishlist: isWishlist
         };
     }
@@ -167,9 +284,11 @@ class BoardGameGeekService {
     /**
      * Downloads and caches BoardGameGeek images for a board game
      * @param {Object} boardGame - The board game object with external_id and image_url
+     * @param {Object} options - Download options
+     * @param {AbortSignal|null} options.signal - Stops the download when the sync is cancelled
      * @returns {Object} - Board game with updated local image path
      */
-    async downloadBoardGameImages(boardGame) {
+    async downloadBoardGameImages(boardGame, { signal = null } = {}) {
         if (!boardGame.external_id || !boardGame.image_url) {
             return boardGame;
         }
@@ -180,7 +299,8 @@ class BoardGameGeekService {
             // Download BGG image
             const localImagePath = await imageService.downloadBoardGameImage(
                 boardGame.external_id,
-                boardGame.image_url
+                boardGame.image_url,
+                { signal }
             );
 
             if (localImagePath) {
@@ -195,6 +315,21 @@ class BoardGameGeekService {
         }
     }
 
+    /**
+     * When the collection entry last changed, which for a new entry is when it was added
+     * Later edits move it too, so it only stands in for date_added when a game is first stored
+     * @returns {Date|null}
+     */
+    getLastModified(item) {
+        const lastModified = this.getAttribute(item.status, 'lastmodified');
+        if (!lastModified) {
+            return null;
+        }
+
+        const date = new Date(lastModified.replace(' ', 'T'));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
     getAttribute(obj, attrName) {
         if (!obj || !obj._attributes) return null;
         return obj._attributes[attrName];
@@ -208,12 +343,13 @@ class BoardGameGeekService {
         return null;
     }
 
-    async enrichGameData(games) {
+    async enrichGameData(games, { signal = null } = {}) {
         // Get detailed information for games in batches
         const batchSize = 20; // BGG allows up to 20 items per request
         const enrichedGames = [];
 
         for (let i = 0; i < games.length; i += batchSize) {
+            signal?.throwIfAborted();
             const batch = games.slice(i, i + batchSize);
             const gameIds = batch.map(game => game.external_id).filter(id => id);
 
@@ -223,27 +359,22 @@ class BoardGameGeekService {
             }
 
             try {
-                const detailsResponse = await this.getGameDetails(gameIds);
+                const detailsResponse = await this.getGameDetails(gameIds, signal);
                 const details = this.parseGameDetails(detailsResponse);
 
                 // Merge details with original games
                 const enrichedBatch = batch.map(game => {
                     const detail = details.find(d => d.id === game.external_id);
-                    if (detail) {
-                        return {
-                            ...game,
-                            description: detail.description,
-                            mechanics: JSON.stringify(detail.mechanics || []),
-                            categories: JSON.stringify(detail.categories || [])
-                        };
-                    }
-                    return game;
+                    return detail ? this.mergeGameDetails(game, detail) : game;
                 });
 
                 enrichedGames.push(...enrichedBatch);
                 
                 console.log(`Enriched ${i + batch.length}/${games.length} board games`);
             } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
                 console.error(`Error enriching batch ${i}-${i + batch.length}:`, error);
                 enrichedGames.push(...batch);
             }
@@ -252,6 +383,40 @@ class BoardGameGeekService {
         return enrichedGames;
     }
 
+    /**
+     * Merge /thing details into a board game, keeping the game's values where details are missing
+     * @param {Object} game - Board game row data
+     * @param {Object} detail - Parsed details from parseGameDetails
+     * @returns {Object} - Board game with details applied
+     */
+    mergeGameDetails(game, detail) {
+        return {
+            ...game,
+            name: detail.name || game.name,
+            year_published: detail.yearPublished ?? game.year_published,
+            min_players: detail.minPlayers ?? game.min_players,
+            max_players: detail.maxPlayers ?? game.max_players,
+            playing_time: detail.playingTime ?? game.playing_time,
+            min_playing_time: detail.minPlayingTime ?? game.min_playing_time,
+            max_playing_time: detail.maxPlayingTime ?? game.max_playing_time,
+            min_age: detail.minAge ?? game.min_age,
+            description: detail.description ?? game.description,
+            image_url: detail.image || game.image_url,
+            thumb_url: detail.thumbnail || game.thumb_url,
+            mechanics: JSON.stringify(detail.mechanics || []),
+            categories: JSON.stringify(detail.categories || []),
+            designers: JSON.stringify(detail.designers || []),
+            publishers: JSON.stringify(detail.publishers || []),
+            artists: JSON.stringify(detail.artists || []),
+            families: JSON.stringify(detail.families || []),
+            rating: detail.rating ?? game.rating,
+            complexity_rating: detail.complexityRating ?? game.complexity_rating,
+            rank: detail.rank ?? game.rank,
+            is_expansion: detail.isExpansion ?? game.is_expansion,
+            base_game_ids: JSON.stringify(detail.baseGameIds || [])
+        };
+    }
+
     parseGameDetails(response) {
         if (!response.items || !response.items.item) {
             return [];
@@ -259,12 +424,73 @@ class BoardGameGeekService {
 
         const items = Array.isArray(response.items.item) ? response.items.item : [response.items.item];
         
-        return items.map(item => ({
-            id: this.getAttribute(item, 'id'),
-            description: this.getTextValue(item.description),
-            mechanics: this.parseLinks(item.link, 'boardgamemechanic'),
-            categories: this.parseLinks(item.link, 'boardgamecategory')
-        }));
+        return items.map(item => {
+            const ratings = item.statistics?.ratings;
+            const isExpansion = this.getAttribute(item, 'type') === 'boardgameexpansion';
+
+            return {
+                id: this.getAttribute(item, 'id'),
+                name: this.getPrimaryName(item.name),
+                yearPublished: parseInt(this.getAttribute(item.yearpublished, 'value')) || null,
+                minPlayers: parseInt(this.getAttribute(item.minplayers, 'value')) || null,
+                maxPlayers: parseInt(this.getAttribute(item.maxplayers, 'value')) || null,
+                playingTime: parseInt(this.getAttribute(item.playingtime, 'value')) || null,
+                minPlayingTime: parseInt(this.getAttribute(item.minplaytime, 'value')) || null,
+                maxPlayingTime: parseInt(this.getAttribute(item.maxplaytime, 'value')) || null,
+                minAge: parseInt(this.getAttribute(item.minage, 'value')) || null,
+                image: this.getTextValue(item.image),
+                thumbnail: this.getTextValue(item.thumbnail),
+                description: this.getTextValue(item.description),
+                mechanics: this.parseLinks(item.link, 'boardgamemechanic'),
+                categories: this.parseLinks(item.link, 'boardgamecategory'),
+                designers: this.parseLinks(item.link, 'boardgamedesigner'),
+                publishers: this.parseLinks(item.link, 'boardgamepublisher'),
+                artists: this.parseLinks(item.link, 'boardgameartist'),
+                families: this.parseLinks(item.link, 'boardgamefamily'),
+                rating: parseFloat(this.getAttribute(ratings?.average, 'value')) || null,
+                complexityRating: parseFloat(this.getAttribute(ratings?.averageweight, 'value')) || null,
+                rank: this.getOverallRank(ratings?.ranks),
+                isExpansion,
+                baseGameIds: isExpansion ? this.getBaseGameIds(item.link) : []
+            };
+        });
+    }
+
+    /**
+     * /thing lists every alternate name; the primary one is the display name
+     */
+    getPrimaryName(names) {
+        if (!names) return null;
+
+        const nameArray = Array.isArray(names) ? names : [names];
+        const primary = nameArray.find(name => this.getAttribute(name, 'type') === 'primary') || nameArray[0];
+        return this.getAttribute(primary, 'value');
+    }
+
+    /**
+     * Overall board game rank, ignoring family ranks like "strategygames"
+     */
+    getOverallRank(ranks) {
+        if (!ranks || !ranks.rank) return null;
+
+        const rankArray = Array.isArray(ranks.rank) ? ranks.rank : [ranks.rank];
+        const overall = rankArray.find(rank => this.getAttribute(rank, 'name') === 'boardgame');
+        return parseInt(this.getAttribute(overall, 'value')) || null; // "Not Ranked" parses to null
+    }
+
+    /**
+     * An expansion links back to the games it expands with inbound boardgameexpansion links
+     * (a base game's own boardgameexpansion links are its expansions)
+     */
+    getBaseGameIds(links) {
+        if (!links) return [];
+
+        const linkArray = Array.isArray(links) ? links : [links];
+
+        return linkArray
+            .filter(link => this.getAttribute(link, 'type') === 'boardgameexpansion' && this.getAttribute(link, 'inbound') === 'true')
+            .map(link => this.getAttribute(link, 'id'))
+            .filter(id => id);
     }
 
     parseLinks(links, type) {
@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import config from '../config/index.js';
+import db from '../database/db.js';
+
+const SERVICE = 'discogs';
+const REQUEST_TOKEN_TTL_MS = 15 * 60 * 1000; // Time the account owner has to approve on Discogs
+const CREDENTIALS_CACHE_MS = 60 * 1000; // Other instances pick up a reconnect or revoke within this
+
+// AES-256-GCM with a key derived from SHELF_ENCRYPTION_KEY, stored as iv.tag.ciphertext in base64
+const encryptionKey = () => crypto.createHash('sha256').update(config.admin.encryptionKey).digest();
+
+const encrypt = (value) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+};
+
+const decrypt = (value) => {
+    const [iv, tag, ciphertext] = value.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// OAuth 1.0a header values are percent encoded per RFC 3986
+const oauthEncode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Discogs Auth Service
+ * Connects a Discogs account with OAuth 1.0a and signs API requests with its token,
+ * falling back to the DISCOGS_USER_TOKEN personal access token
+ */
+class DiscogsAuthService {
+    constructor() {
+        this.consumerKey = config.discogs.consumerKey;
+        this.consumerSecret = config.discogs.consumerSecret;
+        this.baseUrl = config.discogs.baseUrl;
+        this.userAgent = config.discogs.userAgent;
+
+        this.credentials = null;
+        this.credentialsLoadedAt = 0;
+    }
+
+    isOAuthEnabled() {
+        return Boolean(this.consumerKey && this.consumerSecret && config.admin.encryptionKey);
+    }
+
+    /**
+     * OAuth header with PLAINTEXT signing, which Discogs accepts over HTTPS
+     * @param {Object} params - Extra oauth_ parameters, e.g. oauth_token
+     * @param {string} tokenSecret - Secret of the request or access token, if any
+     */
+    buildOAuthHeader(params = {}, tokenSecret = '') {
+        const oauth = {
+            oauth_consumer_key: this.consumerKey,
+            oauth_nonce: crypto.randomBytes(16).toString('hex'),
+            oauth_signature: `${oauthEncode(this.consumerSecret)}&${oauthEncode(tokenSecret)}`,
+            oauth_signature_method: 'PLAINTEXT',
+            oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
+            oauth_version: '1.0',
+            ...params
+        };
+
+        return 'OAuth ' + Object.entries(oauth)
+            .map(([key, value]) => `${key}="${key === 'oauth_signature' ? value : oauthEncode(value)}"`)
+            .join(', ');
+    }
+
+    /**
+     * Call one of the Discogs OAuth endpoints, which answer form encoded
+     */
+    async oauthRequest(path, authorization, method = 'POST') {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers: {
+                'Authorization': authorization,
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'User-Agent': this.userAgent
+            },
+            timeout: config.api.requestTimeoutMs
+        });
+
+        const body = await response.text();
+        if (!response.ok) {
+            throw new Error(`Discogs OAuth error: ${response.status} ${body}`);
+        }
+        return body;
+    }
+
+    /**
+     * Start connecting an account: get a request token and the Discogs page to approve it on
+     * @param {string} callbackUrl - Where Discogs sends the account owner back to
+     * @returns {Promise<string>} - Discogs authorize URL
+     */
+    async startAuthorization(callbackUrl) {
+        if (!this.isOAuthEnabled()) {
+            throw new Error('Discogs OAuth needs DISCOGS_CONSUMER_KEY, DISCOGS_CONSUMER_SECRET and SHELF_ENCRYPTION_KEY');
+        }
+
+        const body = await this.oauthRequest('/oauth/request_token', this.buildOAuthHeader({ oauth_callback: callbackUrl }));
+        const params = new URLSearchParams(body);
+        const token = params.get('oauth_token');
+        const tokenSecret = params.get('oauth_token_secret');
+        if (!token || !tokenSecret) {
+            throw new Error('Discogs did not return a request token');
+        }
+
+        await db.query('DELETE FROM oauth_request_tokens WHERE service = $1 AND created_at < $2', [SERVICE, new Date(Date.now() - REQUEST_TOKEN_TTL_MS)]);
+        await db.insert('oauth_request_tokens', { service: SERVICE, token, token_secret: encrypt(tokenSecret) });
+
+        const authorizeUrl = new URL(config.discogs.authorizeUrl);
+        authorizeUrl.searchParams.append('oauth_token', token);
+        return authorizeUrl.toString();
+    }
+
+    /**
+     * Finish connecting once Discogs redirects back with the approved request token
+     * @param {string} token - oauth_token from the callback
+     * @param {string} verifier - oauth_verifier from the callback
+     * @returns {Promise<Object>} - Connection status
+     */
+    async completeAuthorization(token, verifier) {
+        const [pending] = await db.delete('oauth_request_tokens', { service: SERVICE, token });
+        if (!pending || new Date(pending.created_at) < new Date(Date.now() - REQUEST_TOKEN_TTL_MS)) {
+            throw new Error('Unknown or expired Discogs request token, please connect again');
+        }
+
+        const body = await this.oauthRequest('/oauth/access_token', this.buildOAuthHeader({
+            oauth_token: token,
+            oauth_verifier: verifier
+        }, decrypt(pending.token_secret)));
+        const params = new URLSearchParams(body);
+        const accessToken = params.get('oauth_token');
+        const accessTokenSecret = params.get('oauth_token_secret');
+        if (!accessToken || !accessTokenSecret) {
+            throw new Error('Discogs did not return an access token');
+        }
+
+        // The identity tells us whose collection to sync when DISCOGS_USER_ID isn't set
+        const identity = JSON.parse(await this.oauthRequest('/oauth/identity', this.buildOAuthHeader({
+            oauth_token: accessToken
+        }, accessTokenSecret), 'GET'));
+
+        await db.upsert('service_credentials', {
+            service: SERVICE,
+            username: identity.username,
+            access_token: encrypt(accessToken),
+            access_token_secret: encrypt(accessTokenSecret),
+            connected_at: new Date()
+        }, ['service']);
+        this.credentialsLoadedAt = 0;
+
+        console.log(`Connected Discogs account ${identity.username}`);
+        return await this.getStatus();
+    }
+
+    /**
+     * Forget the connected account's token
+     * Discogs has no revoke endpoint, the account owner can also remove the app under Settings > Applications
+     */
+    async disconnect() {
+        await db.delete('service_credentials', { service: SERVICE });
+        this.credentials = null;
+        this.credentialsLoadedAt = 0;
+        console.log('Disconnected Discogs account');
+    }
+
+    /**
+     * Decrypted credentials of the connected account, cached briefly
+     * @returns {Promise<Object|null>} - { username, accessToken, accessTokenSecret, connectedAt }
+     */
+    async getCredentials() {
+        if (!this.isOAuthEnabled()) {
+            return null;
+        }
+        if (Date.now() - this.credentialsLoadedAt < CREDENTIALS_CACHE_MS) {
+            return this.credentials;
+        }
+
+        const row = await db.findOne('service_credentials', { service: SERVICE });
+        try {
+            this.credentials = row && {
+                username: row.username,
+                accessToken: decrypt(row.access_token),
+                accessTokenSecret: decrypt(row.access_token_secret),
+                connectedAt: row.connected_at
+            };
+        } catch (error) {
+            // Usually a changed SHELF_ENCRYPTION_KEY, the account has to be connected again
+            console.error('Failed to decrypt Discogs credentials:', error.message);
+            this.credentials = null;
+        }
+        this.credentialsLoadedAt = Date.now();
+        return this.credentials;
+    }
+
+    /**
+     * Authorization header for an API request, or null to make it unauthenticated
+     * A connected account takes precedence over DISCOGS_USER_TOKEN
+     */
+    async getAuthorizationHeader() {
+        const credentials = await this.getCredentials();
+        if (credentials) {
+            return this.buildOAuthHeader({ oauth_token: credentials.accessToken }, credentials.accessTokenSecret);
+        }
+        return config.discogs.token ? `Discogs token=${config.discogs.token}` : null;
+    }
+
+    /**
+     * Discogs user whose collection is synced: DISCOGS_USER_ID, else the connected account
+     */
+    async getUsername() {
+        return config.discogs.userId || (await this.getCredentials())?.username || null;
+    }
+
+    async getStatus() {
+        const credentials = await this.getCredentials();
+        return {
+            oauthEnabled: this.isOAuthEnabled(),
+            connected: Boolean(credentials),
+            username: credentials?.username || null,
+            connectedAt: credentials?.connectedAt || null,
+            method: credentials ? 'oauth' : (config.discogs.token ? 'token' : null)
+        };
+    }
+}
+
+export default new DiscogsAuthService();
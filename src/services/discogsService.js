@@ -1,64 +1,118 @@
 import fetch from 'node-fetch';
 import config from '../config/index.js';
-import { setTimeout } from 'timers/promises';
+import RateLimiter from './rateLimiter.js';
+import discogsAuthService from './discogsAuthService.js';
+import { parseArtistCredits, formatArtistCredit, getSortArtist } from '../common/artistCredits.js';
 import imageService from './imageService.js';
 import itunesService from './itunesService.js';
 
 class DiscogsService {
     constructor() {
         this.baseUrl = config.discogs.baseUrl;
-        this.token = config.discogs.token;
-        this.userId = config.discogs.userId;
         this.userAgent = config.discogs.userAgent;
+        this.maxAttempts = config.api.maxAttempts;
+
+        // Discogs allows 60 authenticated requests per minute over a moving window
+        this.rateLimiter = new RateLimiter({
+            headers: {
+                limit: 'x-discogs-ratelimit',
+                remaining: 'x-discogs-ratelimit-remaining',
+                used: 'x-discogs-ratelimit-used'
+            },
+            defaultDelayMs: config.api.rateLimitDelay
+        });
     }
 
-    async makeRequest(endpoint, params = {}) {
+    /**
+     * Make an authenticated request to the Discogs API
+     * 429 and 5xx responses and network errors are retried with backoff, up to config.api.maxAttempts tries
+     * @param {string} endpoint - API path, e.g. /releases/123
+     * @param {Object} params - Query parameters
+     * @param {AbortSignal|null} signal - Aborts the request, the rate limit pause and retries
+     * @returns {Promise<Object>} - Parsed JSON response
+     */
+    async makeRequest(endpoint, params = {}, signal = null) {
         const url = new URL(`${this.baseUrl}${endpoint}`);
-        
-        // Add authentication token
-        if (this.token) {
-            url.searchParams.append('token', this.token);
-        }
 
         // Add additional parameters
         Object.keys(params).forEach(key => {
             url.searchParams.append(key, params[key]);
         });
 
-        const options = {
-            headers: {
-                'User-Agent': this.userAgent,
-                'Accept': 'application/json'
-            },
-            timeout: config.api.requestTimeoutMs
-        };
+        for (let attempt = 1; ; attempt++) {
+            let response;
+            try {
+                await this.rateLimiter.waitForTurn(signal);
+
+                // Credentials go in a header, never the URL, so they stay out of logs; OAuth headers are signed per attempt
+                const authorization = await discogsAuthService.getAuthorizationHeader();
+                const options = {
+                    headers: {
+                        'User-Agent': this.userAgent,
+                        'Accept': 'application/json',
+                        ...(authorization && { 'Authorization': authorization })
+                    },
+                    timeout: config.api.requestTimeoutMs,
+                    signal
+                };
+
+                console.log(`Discogs API request: ${url.pathname}`);
+                response = await fetch(url.toString(), options);
+            } catch (error) {
+                if (error.name === 'AbortError' || attempt >= this.maxAttempts) {
+                    console.error('Discogs API request failed:', error);
+                    throw error;
+                }
+                const delay = this.rateLimiter.backoff(attempt);
+                console.warn(`Discogs API request failed (${error.message}), retrying in ${delay}ms`);
+                continue;
+            }
 
-        try {
-            console.log(`Discogs API request: ${url.pathname}`);
-            const response = await fetch(url.toString(), options);
+            this.rateLimiter.update(response.headers);
+
+            if (response.ok) {
+                const data = await response.json();
+
+                // Slow down as the rate limit budget drains
+                await this.rateLimiter.pace(signal);
 
-            if (!response.ok) {
-                throw new Error(`Discogs API error: ${response.status} ${response.statusText}`);
+                return data;
             }
 
-            const data = await response.json();
-            
-            // Respect rate limits
-            await setTimeout(config.api.rateLimitDelay);
-            
-            return data;
-        } catch (error) {
-            console.error('Discogs API request failed:', error);
-            throw error;
+            // Throttled or a server hiccup: retry rather than return a truncated collection
+            const retryable = response.status === 429 || response.status >= 500;
+            if (!retryable || attempt >= this.maxAttempts) {
+                const error = new Error(`Discogs API error: ${response.status} ${response.statusText}`);
+                console.error('Discogs API request failed:', error);
+                throw error;
+            }
+
+            const delay = this.rateLimiter.backoff(attempt, response.headers.get('retry-after'));
+            console.warn(`Discogs API ${response.status} for ${url.pathname}, retrying in ${delay}ms (attempt ${attempt}/${this.maxAttempts})`);
         }
     }
 
-    async getUserCollection(page = 1, perPage = 100) {
-        if (!this.userId) {
+    /**
+     * Rate limit budget and retry state, for the sync status
+     */
+    getRateLimitStatus() {
+        return this.rateLimiter.getStatus();
+    }
+
+    /**
+     * Discogs user whose collection is synced, from DISCOGS_USER_ID or the account connected with OAuth
+     */
+    async getUserId() {
+        const userId = await discogsAuthService.getUsername();
+        if (!userId) {
             throw new Error('Discogs user ID not configured');
         }
+        return userId;
+    }
 
-        const endpoint = `/users/${this.userId}/collection/folders/0/releases`;
+    async getUserCollection(page = 1, perPage = 100, signal = null) {
+        const userId = await this.getUserId();
+        const endpoint = `/users/${userId}/collection/folders/0/releases`;
         const params = {
             page: page.toString(),
             per_page: perPage.toString(),
@@ -66,47 +120,87 @@ class DiscogsService {
             sort_order: 'desc'
         };
 
-        return await this.makeRequest(endpoint, params);
+        return await this.makeRequest(endpoint, params, signal);
     }
 
-    async getUserWantlist(page = 1, perPage = 100) {
-        if (!this.userId) {
-            throw new Error('Discogs user ID not configured');
-        }
+    async getCollectionFolders(signal = null) {
+        const userId = await this.getUserId();
+        const endpoint = `/users/${userId}/collection/folders`;
+        return await this.makeRequest(endpoint, {}, signal);
+    }
+
+    async getCollectionFields(signal = null) {
+        const userId = await this.getUserId();
+        const endpoint = `/users/${userId}/collection/fields`;
+        return await this.makeRequest(endpoint, {}, signal);
+    }
+
+    /**
+     * Minimum, median and maximum value of the collection, as strings formatted in the user's currency
+     */
+    async getCollectionValue(signal = null) {
+        const userId = await this.getUserId();
+        const endpoint = `/users/${userId}/collection/value`;
+        return await this.makeRequest(endpoint, {}, signal);
+    }
+
+    /**
+     * Lowest marketplace price and number for sale of a release, in the user's currency
+     */
+    async getMarketplaceStats(releaseId, signal = null) {
+        const endpoint = `/marketplace/stats/${releaseId}`;
+        return await this.makeRequest(endpoint, {}, signal);
+    }
 
-        const endpoint = `/users/${this.userId}/wants`;
+    async getUserWantlist(page = 1, perPage = 100, signal = null) {
+        const userId = await this.getUserId();
+        const endpoint = `/users/${userId}/wants`;
         const params = {
             page: page.toString(),
             per_page: perPage.toString()
         };
 
-        return await this.makeRequest(endpoint, params);
+        return await this.makeRequest(endpoint, params, signal);
     }
 
-    async getRelease(releaseId) {
+    async getRelease(releaseId, signal = null) {
         const endpoint = `/releases/${releaseId}`;
-        return await this.makeRequest(endpoint);
+        return await this.makeRequest(endpoint, {}, signal);
     }
 
-    async getMasterRelease(masterId) {
+    async getMasterRelease(masterId, signal = null) {
         const endpoint = `/masters/${masterId}`;
-        return await this.makeRequest(endpoint);
+        return await this.makeRequest(endpoint, {}, signal);
     }
 
-    async getAllCollectionItems() {
+    /**
+     * Page through the user's collection, newest additions first
+     * @param {Object} options - Paging options
+     * @param {Date|null} options.addedSince - Stop paging once releases were added before this date
+     * @param {AbortSignal|null} options.signal - Stops paging when the sync is cancelled
+     * @returns {Promise<Array>} - Collection items
+     */
+    async getAllCollectionItems({ addedSince = null, signal = null } = {}) {
         const allItems = [];
         let page = 1;
         let hasMorePages = true;
 
         while (hasMorePages) {
             try {
-                const response = await this.getUserCollection(page, 100);
+                signal?.throwIfAborted();
+                const response = await this.getUserCollection(page, 100, signal);
                 
                 if (response.releases && response.releases.length > 0) {
-                    allItems.push(...response.releases);
+                    const releases = addedSince
+                        ? response.releases.filter(release => new Date(release.date_added) >= addedSince)
+                        : response.releases;
+                    allItems.push(...releases);
                     
+                    // Pages are sorted by date added, so an older release means we've caught up
+                    const reachedCutoff = releases.length < response.releases.length;
+
                     // Check if there are more pages
-                    hasMorePages = response.pagination && page < response.pagination.pages;
+                    hasMorePages = !reachedCutoff && response.pagination && page < response.pagination.pages;
                     page++;
                     
                     console.log(`Fetched page ${page - 1}/${response.pagination?.pages || '?'} of Discogs collection`);
@@ -114,8 +208,9 @@ class DiscogsService {
                     hasMorePages = false;
                 }
             } catch (error) {
+                // A partial collection would look like removed releases, so fail the whole fetch
                 console.error(`Error fetching collection page ${page}:`, error);
-                break;
+                throw error;
             }
         }
 
@@ -123,14 +218,15 @@ class DiscogsService {
         return allItems;
     }
 
-    async getAllWantlistItems() {
+    async getAllWantlistItems({ signal = null } = {}) {
         const allItems = [];
         let page = 1;
         let hasMorePages = true;
 
         while (hasMorePages) {
             try {
-                const response = await this.getUserWantlist(page, 100);
+                signal?.throwIfAborted();
+                const response = await this.getUserWantlist(page, 100, signal);
                 
                 if (response.wants && response.wants.length > 0) {
                     allItems.push(...response.wants);
@@ -144,8 +240,9 @@ class DiscogsService {
                     hasMorePages = false;
                 }
             } catch (error) {
+                // A partial wantlist would look like removed releases, so fail the whole fetch
                 console.error(`Error fetching wantlist page ${page}:`, error);
-                break;
+                throw error;
             }
         }
 
@@ -155,11 +252,14 @@ class DiscogsService {
 
     transformToRecord(item, isWishlist = false) {
         const basic_information = item.basic_information || item;
+        const artists = parseArtistCredits(basic_information.artists);
         
         return {
             external_id: basic_information.id?.toString(),
-            artist: this.getMainArtist(basic_information.artists),
-            sort_artist: this.getSortArtist(basic_information.artists),
+            master_id: basic_information.master_id ? basic_information.master_id.toString() : null, // 0 when the release has no master
+            artist: formatArtistCredit(artists),
+            sort_artist: getSortArtist(artists),
+            artists: JSON.stringify(artists), // Every credited artist in order, with name variations and joins
             title: basic_information.title,
             year_of_original_release: basic_information.year,
             year_of_release: basic_information.year,
@@ -172,6 +272,13 @@ class DiscogsService {
             thumb_url: basic_information.thumb,
             cover_image_url: this.getDiscogsImageUrl(basic_information),
             date_added: item.date_added ? new Date(item.date_added) : new Date(),
+            // Collection folders holding a copy of the release, wishlist items aren't in any
+            folder_ids: JSON.stringify(item.folder_ids || (item.folder_id ? [item.folder_id] : [])),
+            // Collection field values, set on collection items by recordFieldService.applyFields
+            media_condition: item.media_condition || null,
+            sleeve_condition: item.sleeve_condition || null,
+            custom_fields: JSON.stringify(item.custom_fields || {}),
+            user_rating: item.rating || null, // 0 when unrated
             in_collection: !isWishlist,
             in_wishlist: isWishlist
         };
@@ -180,9 +287,12 @@ class DiscogsService {
     /**
      * Downloads and caches Discogs + iTunes images for a record
      * @param {Object} record - The record object with external_id and cover_image_url
+     * @param {Object} options - Download options
+     * @param {AbortSignal|null} options.signal - Stops in-flight downloads when the sync is cancelled
+     * @param {boolean} options.force - Re-download images even if they are already cached
      * @returns {Object} - Record with updated local image paths and release year
      */
-    async downloadRecordImages(record) {
+    async downloadRecordImages(record, { signal = null, force = false } = {}) {
         if (!record.external_id) {
             return record;
         }
@@ -195,8 +305,9 @@ class DiscogsService {
                 const discogsImagePath = await imageService.downloadRecordImage(
                     record.external_id,
                     record.cover_image_url,
-                    this.token,
-                    'discogs'
+                    await discogsAuthService.getAuthorizationHeader(),
+                    'discogs',
+                    { signal, force }
                 );
 
                 if (discogsImagePath) {
@@ -207,7 +318,7 @@ class DiscogsService {
 
             // 2. Search iTunes for higher quality image and original release year 
             // Re-enabled with original shelf-3.2.4-og request patterns to avoid 403 blocking
-            if (true) { // Re-enabled with fixes from original implementation
+            if (!signal?.aborted) { // Re-enabled with fixes from original implementation
                 try {
                     const [itunesImageUrl, itunesOriginalYear] = await itunesService.searchAlbum(record.title, record.artist);
                     
@@ -216,7 +327,8 @@ class DiscogsService {
                             record.external_id,
                             itunesImageUrl,
                             null, // No token needed for iTunes
-                            'itunes'
+                            'itunes',
+                            { signal, force }
                         );
 
                         if (itunesImagePath) {
@@ -226,7 +338,8 @@ class DiscogsService {
                     }
 
                     // 3. Update original release year if iTunes provided a valid one
-                    if (itunesOriginalYear) {
+                    // Records with a master already have the master's year, which beats a fuzzy match
+                    if (itunesOriginalYear && !record.master_id) {
                         const validYear = itunesService.validateReleaseYear(itunesOriginalYear, record.year_of_release);
                         if (validYear) {
                             record.year_of_original_release = validYear;
@@ -245,27 +358,6 @@ class DiscogsService {
         }
     }
 
-    getMainArtist(artists) {
-        if (!artists || artists.length === 0) return 'Unknown Artist';
-        return artists[0].name;
-    }
-
-    getSortArtist(artists) {
-        if (!artists || artists.length === 0) return 'Unknown Artist';
-        
-        const mainArtist = artists[0];
-        
-        // Remove articles for sorting
-        let sortName = mainArtist.name;
-        
-        // Handle "The" prefix
-        if (sortName.toLowerCase().startsWith('the ')) {
-            sortName = sortName.substring(4) + ', The';
-        }
-        
-        return sortName;
-    }
-
     getFormat(formats) {
         if (!formats || formats.length === 0) return 'Unknown';
         return formats.map(f => f.name).join(', ');
@@ -297,11 +389,15 @@ class DiscogsService {
     /**
      * Extract Discogs image URL using the original logic:
      * 1. First try cover_image
-     * 2. Then fall back to thumb
+     * 2. Then the primary image of a full release (from getRelease)
+     * 3. Then fall back to thumb
      */
     getDiscogsImageUrl(basic_information) {
         if (basic_information.cover_image) {
             return basic_information.cover_image;
+        } else if (basic_information.images && basic_information.images.length > 0) {
+            const primary = basic_information.images.find(image => image.type === 'primary');
+            return primary ? primary.uri : this.getBestImage(basic_information.images);
         } else if (basic_information.thumb) {
             return basic_information.thumb;
         }
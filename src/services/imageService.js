@@ -51,9 +51,10 @@ class ImageService {
      * @param {string} destinationFilename - Filename for the saved image
      * @param {Object} customHeaders - Additional HTTP headers
      * @param {Function} rateLimiter - Optional rate limiting function
+     * @param {AbortSignal|null} signal - Aborts the download, e.g. when a sync is cancelled
      * @returns {Promise<string|null>} - Returns the local file path or null if failed
      */
-    async downloadImage(url, destinationDirectoryPath, destinationFilename, customHeaders = {}, rateLimiter = null) {
+    async downloadImage(url, destinationDirectoryPath, destinationFilename, customHeaders = {}, rateLimiter = null, signal = null) {
         if (!url || !url.startsWith('http')) {
             console.warn('Invalid image URL provided:', url);
             return null;
@@ -69,14 +70,20 @@ class ImageService {
             
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), this.requestTimeoutMs);
+            const abortDownload = () => controller.abort();
+            signal?.addEventListener('abort', abortDownload, { once: true });
             
-            const response = await fetch(url, {
-                method: 'GET',
-                headers,
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
+            let response;
+            try {
+                response = await fetch(url, {
+                    method: 'GET',
+                    headers,
+                    signal: controller.signal
+                });
+            } finally {
+                clearTimeout(timeoutId);
+                signal?.removeEventListener('abort', abortDownload);
+            }
 
             if (rateLimiter && typeof rateLimiter === 'function') {
                 await rateLimiter(response.headers, url);
@@ -145,10 +152,14 @@ class ImageService {
      * Downloads Discogs album art for a record
      * @param {string} recordId - The record ID
      * @param {string} imageUrl - The Discogs image URL
-     * @param {string} token - Discogs API token
+     * @param {string|null} authorization - Discogs Authorization header value
+     * @param {string} imageType - 'discogs' or 'itunes'
+     * @param {Object} options - Download options
+     * @param {AbortSignal|null} options.signal - Aborts the download
+     * @param {boolean} options.force - Download even if a valid cached image exists
      * @returns {Promise<string|null>} - Local file path or null
      */
-    async downloadRecordImage(recordId, imageUrl, token, imageType = 'discogs') {
+    async downloadRecordImage(recordId, imageUrl, authorization, imageType = 'discogs', { signal = null, force = false } = {}) {
         if (!imageUrl) return null;
 
         const recordDir = path.join(this.recordsPath, `record${recordId}`);
@@ -156,13 +167,13 @@ class ImageService {
         const fullPath = path.join(recordDir, filename);
         
         // Check if valid cached image already exists
-        if (await this.validateExistingImage(fullPath)) {
+        if (!force && await this.validateExistingImage(fullPath)) {
             return `/images/records/record${recordId}/${filename}`;
         }
         
-        const headers = token ? { 'Authorization': `Discogs token=${token}` } : {};
+        const headers = authorization ? { 'Authorization': authorization } : {};
         
-        const filepath = await this.downloadImage(imageUrl, recordDir, filename, headers);
+        const filepath = await this.downloadImage(imageUrl, recordDir, filename, headers, null, signal);
         
         // Return web-accessible path
         if (filepath) {
@@ -176,15 +187,17 @@ class ImageService {
      * Downloads BoardGameGeek image for a board game
      * @param {string} gameId - The board game ID
      * @param {string} imageUrl - The BGG image URL
+     * @param {Object} options - Download options
+     * @param {AbortSignal|null} options.signal - Aborts the download
      * @returns {Promise<string|null>} - Local file path or null
      */
-    async downloadBoardGameImage(gameId, imageUrl) {
+    async downloadBoardGameImage(gameId, imageUrl, { signal = null } = {}) {
         if (!imageUrl) return null;
 
         const gameDir = path.join(this.boardGamesPath, `boardgame${gameId}`);
         const filename = 'board-game-cover-art.jpg';
         
-        const filepath = await this.downloadImage(imageUrl, gameDir, filename);
+        const filepath = await this.downloadImage(imageUrl, gameDir, filename, {}, null, signal);
         
         // Return web-accessible path
         if (filepath) {
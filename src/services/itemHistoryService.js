@@ -0,0 +1,191 @@
+import db from '../database/db.js';
+import providerRegistry from '../providers/index.js';
+
+// Columns that change on every write or don't describe the item
+const IGNORED_FIELDS = ['id', 'created_at', 'updated_at'];
+
+// Shelves without a sync provider still have history
+const SHELF_TABLES = {
+    books: 'books'
+};
+
+/**
+ * Item History Service
+ * Records what changed on each shelf item per sync, and rebuilds a shelf as it was on a past date
+ */
+class ItemHistoryService {
+    /**
+     * Table holding a shelf's items
+     * @param {string} shelf - Provider name or shelf alias, e.g. 'records', 'boardgames', 'books'
+     * @returns {string|null}
+     */
+    resolveTable(shelf) {
+        const provider = providerRegistry.get(shelf);
+        return provider ? provider.table : (SHELF_TABLES[shelf] || null);
+    }
+
+    /**
+     * Record an upsert as an addition or a field diff
+     * @param {string} table - Table the row was written to
+     * @param {Object|undefined} previous - The row before the upsert, if it existed
+     * @param {Object} row - The row returned by the upsert
+     * @param {number|null} runId - Sync run that made the change
+     */
+    async recordChange(table, previous, row, runId = null) {
+        try {
+            // Tables are rebuilt on startup, so fall back to the last snapshot we took
+            const before = previous || await this.getLatestSnapshot(table, row.external_id);
+
+            if (!before) {
+                await this.insertEntry(table, row.external_id, 'added', null, row, runId);
+                return;
+            }
+
+            const changes = this.diff(before, row);
+            if (Object.keys(changes).length > 0) {
+                await this.insertEntry(table, row.external_id, 'updated', changes, row, runId);
+            }
+        } catch (error) {
+            // Losing history should never fail the sync itself
+            console.error(`Failed to record history for ${table} ${row.external_id}:`, error.message);
+        }
+    }
+
+    async recordRemoval(table, row, runId = null) {
+        try {
+            await this.insertEntry(table, row.external_id, 'removed', null, null, runId);
+        } catch (error) {
+            console.error(`Failed to record removal history for ${table} ${row.external_id}:`, error.message);
+        }
+    }
+
+    async insertEntry(table, externalId, changeType, changes, snapshot, runId) {
+        await db.insert('item_history', {
+            item_table: table,
+            external_id: externalId,
+            change_type: changeType,
+            changes: changes ? JSON.stringify(changes) : null,
+            snapshot: snapshot ? JSON.stringify(snapshot) : null,
+            run_id: runId
+        });
+    }
+
+    /**
+     * Fields whose values differ between two versions of a row
+     * @returns {Object} - { field: { from, to } }
+     */
+    diff(before, after) {
+        const changes = {};
+
+        for (const field of Object.keys(after)) {
+            if (IGNORED_FIELDS.includes(field)) {
+                continue;
+            }
+
+            const from = this.normalize(before[field]);
+            const to = this.normalize(after[field]);
+            if (this.canonicalize(from) !== this.canonicalize(to)) {
+                changes[field] = { from, to };
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Bring live rows and JSONB snapshots to the same shape before comparing
+     */
+    normalize(value) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        // JSONB columns are written as JSON strings but read back parsed
+        if (typeof value === 'string' && /^[[{]/.test(value)) {
+            try {
+                return JSON.parse(value);
+            } catch {
+                return value;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * JSON with object keys sorted, since JSONB doesn't keep key order
+     */
+    canonicalize(value) {
+        return JSON.stringify(value, (key, nested) => {
+            if (nested && typeof nested === 'object' && !Array.isArray(nested)) {
+                return Object.fromEntries(Object.keys(nested).sort().map(name => [name, nested[name]]));
+            }
+            return nested;
+        });
+    }
+
+    /**
+     * The item's row as of its latest history entry, or null if it has none or was removed
+     */
+    async getLatestSnapshot(table, externalId) {
+        const result = await db.query(`
+            SELECT snapshot FROM item_history
+            WHERE item_table = $1 AND external_id = $2
+            ORDER BY recorded_at DESC, id DESC
+            LIMIT 1
+        `, [table, externalId]);
+
+        return result.rows[0]?.snapshot || null;
+    }
+
+    /**
+     * History entries for one item, newest first
+     */
+    async getHistory(table, externalId, { limit = 100 } = {}) {
+        const result = await db.query(`
+            SELECT id, change_type, changes, run_id, recorded_at
+            FROM item_history
+            WHERE item_table = $1 AND external_id = $2
+            ORDER BY recorded_at DESC, id DESC
+            LIMIT $3
+        `, [table, externalId, limit]);
+
+        return result.rows;
+    }
+
+    /**
+     * Rebuild a shelf from the latest snapshot of each item at a point in time
+     * @param {string} table - Shelf table
+     * @param {Date} asOf - Point in time to rebuild
+     * @param {Object} conditions - Snapshot fields to match, e.g. { in_collection: true }
+     * @returns {Promise<Array>} - Rows as they were at that time
+     */
+    async getShelfAsOf(table, asOf, conditions = {}) {
+        const result = await db.query(`
+            SELECT DISTINCT ON (external_id) change_type, snapshot
+            FROM item_history
+            WHERE item_table = $1 AND recorded_at <= $2
+            ORDER BY external_id, recorded_at DESC, id DESC
+        `, [table, asOf]);
+
+        return result.rows
+            .filter(entry => entry.change_type !== 'removed' && entry.snapshot)
+            .map(entry => entry.snapshot)
+            .filter(row => Object.entries(conditions).every(([field, value]) => row[field] === value));
+    }
+
+    /**
+     * End of the given YYYY-MM-DD day, or null if the value isn't such a date
+     */
+    parseAsOf(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+            return null;
+        }
+
+        const date = new Date(`${value}T23:59:59.999`);
+        return isNaN(date.getTime()) ? null : date;
+    }
+}
+
+export default new ItemHistoryService();
@@ -0,0 +1,146 @@
+import db from '../database/db.js';
+import cachedDb from './cachedDbService.js';
+import discogsService from './discogsService.js';
+
+/**
+ * Master Release Service
+ * A Discogs master groups every pressing of an album, and its year is the album's original release year
+ * Masters rarely change, so each is fetched once and kept until a record on it is refreshed
+ */
+class MasterReleaseService {
+    /**
+     * Set each record's original release year from its master, fetching masters not seen before
+     * With fetchMissing false only stored masters are used, fillMasterYears fetches the rest later
+     * @param {Array} records - Transformed records with master_id set
+     * @param {Object} options - { signal, force, fetchMissing } where force re-fetches masters already stored
+     * @returns {Promise<Array>} - The same records
+     */
+    async applyMasterYears(records, { signal = null, force = false, fetchMissing = true } = {}) {
+        const masterIds = [...new Set(records.map(record => record.master_id).filter(Boolean))];
+        if (masterIds.length === 0) {
+            return records;
+        }
+
+        const result = await db.query('SELECT * FROM record_masters WHERE master_id = ANY($1)', [masterIds]);
+        const masters = new Map(result.rows.map(master => [master.master_id, master]));
+        const missing = force ? masterIds : masterIds.filter(id => !masters.has(id));
+
+        if (fetchMissing) {
+            for (const master of await this.fetchMasters(missing, { signal })) {
+                masters.set(master.master_id, master);
+            }
+        }
+
+        for (const record of records) {
+            const master = masters.get(record.master_id);
+            // Discogs uses 0 for masters without a known year
+            if (master && master.year > 0) {
+                record.year_of_original_release = master.year;
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Fetch the masters of stored records that aren't stored yet and set those records' original release year
+     * Runs after a sync upserted the records, so a first sync fills the shelf before the slow master lookups
+     * @param {Array} records - Transformed records with master_id set
+     * @param {Object} options - { signal }
+     */
+    async fillMasterYears(records, { signal = null } = {}) {
+        const masterIds = [...new Set(records.map(record => record.master_id).filter(Boolean))];
+        if (masterIds.length === 0) {
+            return;
+        }
+
+        const result = await db.query('SELECT master_id FROM record_masters WHERE master_id = ANY($1)', [masterIds]);
+        const stored = new Set(result.rows.map(row => row.master_id));
+
+        const masters = await this.fetchMasters(masterIds.filter(id => !stored.has(id)), { signal });
+        for (const master of masters) {
+            // Discogs uses 0 for masters without a known year
+            if (master.year > 0) {
+                await db.query(`
+                    UPDATE records SET year_of_original_release = $1, updated_at = CURRENT_TIMESTAMP
+                    WHERE master_id = $2
+                `, [master.year, master.master_id]);
+            }
+        }
+
+        if (masters.length > 0) {
+            cachedDb.invalidateTable('records');
+        }
+    }
+
+    /**
+     * Fetch and store masters one at a time, discogsService paces each request under the rate limit
+     * @param {Array<string>} masterIds - Masters to fetch
+     * @param {Object} options - { signal }
+     * @returns {Promise<Array>} - Stored record_masters rows of the masters fetched
+     */
+    async fetchMasters(masterIds, { signal = null } = {}) {
+        if (masterIds.length > 0) {
+            console.log(`Fetching ${masterIds.length} Discogs master releases...`);
+        }
+
+        const masters = [];
+        for (const masterId of masterIds) {
+            signal?.throwIfAborted();
+
+            try {
+                const master = await discogsService.getMasterRelease(masterId, signal);
+                masters.push(await this.saveMaster(master));
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                // Records keep their release year and the master is fetched again on the next sync
+                console.error(`Failed to fetch master release ${masterId}:`, error.message);
+            }
+        }
+
+        return masters;
+    }
+
+    async saveMaster(master) {
+        return await db.upsert('record_masters', {
+            master_id: master.id.toString(),
+            title: master.title || null,
+            year: master.year || null,
+            main_release_id: master.main_release ? master.main_release.toString() : null,
+            fetched_at: new Date()
+        }, ['master_id']);
+    }
+
+    /**
+     * Group pressings of the same album into stacks, keeping the order of the first pressing of each
+     * Records without a master are a stack of their own
+     * @param {Array} records - Records in display order
+     * @param {Function} getMasterId - Reads the master ID of a record
+     * @returns {Array<Array>} - Stacks of records
+     */
+    groupPressings(records, getMasterId = record => record.master_id) {
+        const stacks = [];
+        const stacksByMaster = new Map();
+
+        for (const record of records) {
+            const masterId = getMasterId(record);
+            const stack = masterId ? stacksByMaster.get(masterId) : null;
+
+            if (stack) {
+                stack.push(record);
+            } else {
+                const newStack = [record];
+                stacks.push(newStack);
+                if (masterId) {
+                    stacksByMaster.set(masterId, newStack);
+                }
+            }
+        }
+
+        return stacks;
+    }
+}
+
+export default new MasterReleaseService();
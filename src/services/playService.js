@@ -0,0 +1,209 @@
+import db from '../database/db.js';
+import config from '../config/index.js';
+import cachedDb from './cachedDbService.js';
+import boardGameGeekService from './boardGameGeekService.js';
+
+// sync_status row the full play log sync time is kept on
+const SYNC_SERVICE = 'boardgamegeek';
+
+// Incremental syncs fetch from this many days before the newest stored play, plays are often logged a few days late
+const PLAY_LOOKBACK_DAYS = 7;
+
+/**
+ * Play Service
+ * Keeps the user's BoardGameGeek play log, with per-game play counts and play statistics
+ */
+class PlayService {
+    /**
+     * Sync the play log from BGG
+     * Usually only recent plays are fetched and upserted; once per full play sync interval, or with
+     * no plays stored yet, the whole log is fetched and replaces the stored one, dropping plays deleted on BGG
+     * @param {Object} options - { signal }
+     * @returns {Promise<number>} - Plays fetched
+     */
+    async syncPlays({ signal = null } = {}) {
+        const status = await db.findOne('sync_status', { service: SYNC_SERVICE });
+        const fullSyncDue = !status?.last_full_play_sync_at ||
+            Date.now() - new Date(status.last_full_play_sync_at).getTime() >= config.boardGameGeek.fullPlaySyncIntervalMs;
+        const minDate = fullSyncDue ? null : await this.getIncrementalStartDate();
+        const full = !minDate;
+
+        const plays = (await boardGameGeekService.getAllPlays({ minDate, signal }))
+            .map(play => this.parsePlay(play))
+            .filter(play => play.play_id && play.game_id);
+
+        await db.transaction(async (client) => {
+            if (full) {
+                await client.query('DELETE FROM board_game_play_players');
+                await client.query('DELETE FROM board_game_plays');
+            }
+
+            for (const play of plays) {
+                await this.savePlay(client, play);
+            }
+
+            if (full) {
+                await client.query(`
+                    INSERT INTO sync_status (service, last_full_play_sync_at) VALUES ($1, CURRENT_TIMESTAMP)
+                    ON CONFLICT (service) DO UPDATE SET last_full_play_sync_at = EXCLUDED.last_full_play_sync_at
+                `, [SYNC_SERVICE]);
+            }
+        });
+        if (full) {
+            cachedDb.invalidateTable('sync_status');
+        }
+
+        console.log(full ? `Synced all ${plays.length} BGG plays` : `Synced ${plays.length} BGG plays since ${minDate}`);
+        return plays.length;
+    }
+
+    /**
+     * Date incremental syncs fetch plays from, PLAY_LOOKBACK_DAYS before the newest stored play
+     * @returns {Promise<string|null>} - YYYY-MM-DD, or null with no dated plays stored
+     */
+    async getIncrementalStartDate() {
+        const result = await db.query(`
+            SELECT TO_CHAR(MAX(played_on) - $1::integer, 'YYYY-MM-DD') AS min_date
+            FROM board_game_plays
+        `, [PLAY_LOOKBACK_DAYS]);
+        return result.rows[0].min_date;
+    }
+
+    /**
+     * Insert or update a play and replace its players
+     * @param {Object} client - Client of the surrounding transaction
+     * @param {Object} play - From parsePlay
+     */
+    async savePlay(client, play) {
+        await client.query(`
+            INSERT INTO board_game_plays (play_id, game_id, game_name, played_on, quantity, length_minutes, location, incomplete, comments)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            ON CONFLICT (play_id) DO UPDATE SET
+                game_id = EXCLUDED.game_id,
+                game_name = EXCLUDED.game_name,
+                played_on = EXCLUDED.played_on,
+                quantity = EXCLUDED.quantity,
+                length_minutes = EXCLUDED.length_minutes,
+                location = EXCLUDED.location,
+                incomplete = EXCLUDED.incomplete,
+                comments = EXCLUDED.comments,
+                updated_at = CURRENT_TIMESTAMP
+        `, [play.play_id, play.game_id, play.game_name, play.played_on, play.quantity, play.length_minutes, play.location, play.incomplete, play.comments]);
+
+        await client.query('DELETE FROM board_game_play_players WHERE play_id = $1', [play.play_id]);
+        for (const [index, player] of play.players.entries()) {
+            await client.query(`
+                INSERT INTO board_game_play_players (play_id, username, name, score, win, color, start_position, sort_order)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            `, [play.play_id, player.username, player.name, player.score, player.win, player.color, player.start_position, index]);
+        }
+    }
+
+    /**
+     * A <play> from the BGG plays API as board_game_plays columns plus its players
+     */
+    parsePlay(play) {
+        const attribute = (obj, name) => boardGameGeekService.getAttribute(obj, name) || null;
+        const players = play.players?.player
+            ? (Array.isArray(play.players.player) ? play.players.player : [play.players.player])
+            : [];
+
+        return {
+            play_id: attribute(play, 'id'),
+            game_id: attribute(play.item, 'objectid'),
+            game_name: attribute(play.item, 'name'),
+            // BGG uses 0000-00-00 for plays logged without a date
+            played_on: /^\d{4}-\d{2}-\d{2}$/.test(attribute(play, 'date')) && !attribute(play, 'date').startsWith('0000')
+                ? attribute(play, 'date')
+                : null,
+            quantity: parseInt(attribute(play, 'quantity')) || 1,
+            length_minutes: parseInt(attribute(play, 'length')) || null,
+            location: attribute(play, 'location'),
+            incomplete: attribute(play, 'incomplete') === '1',
+            comments: boardGameGeekService.getTextValue(play.comments),
+            players: players.map(player => ({
+                username: attribute(player, 'username'),
+                name: attribute(player, 'name'),
+                score: attribute(player, 'score'),
+                win: attribute(player, 'win') === '1',
+                color: attribute(player, 'color'),
+                start_position: attribute(player, 'startposition')
+            }))
+        };
+    }
+
+    /**
+     * Total plays and last played date of every game played
+     * Dates are YYYY-MM-DD, BGG plays have no time or time zone
+     * @returns {Promise<Map>} - BGG game ID to { playCount, lastPlayed }
+     */
+    async getPlaySummary() {
+        const result = await db.query(`
+            SELECT game_id, SUM(quantity) AS play_count, TO_CHAR(MAX(played_on), 'YYYY-MM-DD') AS last_played
+            FROM board_game_plays
+            GROUP BY game_id
+        `);
+
+        return new Map(result.rows.map(row => [row.game_id, {
+            playCount: parseInt(row.play_count),
+            lastPlayed: row.last_played
+        }]));
+    }
+
+    /**
+     * Most played games, owned games never played ("shelf of shame") and plays per month
+     * @param {Object} options - { limit } for the most played list
+     */
+    async getPlayStats({ limit = 10 } = {}) {
+        const [totals, mostPlayed, shelfOfShame, playsPerMonth] = await Promise.all([
+            db.query(`
+                SELECT COALESCE(SUM(quantity), 0) AS plays, COUNT(DISTINCT game_id) AS games
+                FROM board_game_plays
+            `),
+            db.query(`
+                SELECT game_id, MAX(game_name) AS name, SUM(quantity) AS plays, TO_CHAR(MAX(played_on), 'YYYY-MM-DD') AS last_played
+                FROM board_game_plays
+                GROUP BY game_id
+                ORDER BY plays DESC, name
+                LIMIT $1
+            `, [limit]),
+            db.query(`
+                SELECT external_id AS game_id, name, date_added
+                FROM board_games
+                WHERE in_collection = true
+                AND NOT EXISTS (SELECT 1 FROM board_game_plays WHERE board_game_plays.game_id = board_games.external_id)
+                ORDER BY date_added, name
+            `),
+            db.query(`
+                SELECT TO_CHAR(played_on, 'YYYY-MM') AS month, SUM(quantity) AS plays
+                FROM board_game_plays
+                WHERE played_on IS NOT NULL
+                GROUP BY month
+                ORDER BY month
+            `)
+        ]);
+
+        // SUM and COUNT come back as strings
+        return {
+            totalPlays: parseInt(totals.rows[0].plays),
+            gamesPlayed: parseInt(totals.rows[0].games),
+            mostPlayed: mostPlayed.rows.map(row => ({
+                gameId: row.game_id,
+                name: row.name,
+                plays: parseInt(row.plays),
+                lastPlayed: row.last_played
+            })),
+            shelfOfShame: shelfOfShame.rows.map(row => ({
+                gameId: row.game_id,
+                name: row.name,
+                dateAdded: row.date_added
+            })),
+            playsPerMonth: playsPerMonth.rows.map(row => ({
+                month: row.month,
+                plays: parseInt(row.plays)
+            }))
+        };
+    }
+}
+
+export default new PlayService();
@@ -0,0 +1,119 @@
+import { setTimeout } from 'timers/promises';
+
+/**
+ * Rate Limiter
+ * Paces requests to an API from the rate limit budget it reports in response headers,
+ * and backs off exponentially with jitter when it refuses or fails a request
+ * Each API client owns one, so throttling one source never slows another
+ */
+class RateLimiter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.headers - Response header names: { limit, remaining, used }
+     * @param {number} options.windowMs - Window the limit applies to
+     * @param {number} options.minDelayMs - Pause after a request while most of the budget is left
+     * @param {number} options.defaultDelayMs - Pause after a request when the API reports no budget
+     * @param {number} options.maxBackoffMs - Longest wait before a retry
+     */
+    constructor({ headers = {}, windowMs = 60000, minDelayMs = 250, defaultDelayMs = 1000, maxBackoffMs = 60000 }) {
+        this.headers = headers;
+        this.windowMs = windowMs;
+        this.minDelayMs = minDelayMs;
+        this.defaultDelayMs = defaultDelayMs;
+        this.maxBackoffMs = maxBackoffMs;
+
+        this.limit = null;
+        this.remaining = null;
+        this.used = null;
+        this.updatedAt = null;
+        this.throttledUntil = 0; // Shared pause after a refused request, so parallel callers wait too
+        this.lastThrottledAt = null;
+        this.retries = 0;
+    }
+
+    /**
+     * Read the budget from a response's headers, if the API sent it
+     * @param {Headers} headers - fetch response headers
+     */
+    update(headers) {
+        const read = name => {
+            const value = name ? parseInt(headers.get(name)) : NaN;
+            return isNaN(value) ? null : value;
+        };
+
+        const limit = read(this.headers.limit);
+        const remaining = read(this.headers.remaining);
+        if (limit === null && remaining === null) {
+            return;
+        }
+
+        this.limit = limit ?? this.limit;
+        this.remaining = remaining;
+        this.used = read(this.headers.used);
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Pause after a successful request, lengthening as the budget drains
+     * Half the budget goes at the minimum pace, the rest is spread over the window
+     * @returns {number} - Milliseconds
+     */
+    getDelay() {
+        if (this.remaining === null || !this.limit) {
+            return this.defaultDelayMs;
+        }
+        if (this.remaining >= this.limit / 2) {
+            return this.minDelayMs;
+        }
+        return Math.min(this.windowMs, Math.max(this.minDelayMs, this.windowMs / Math.max(this.remaining, 1)));
+    }
+
+    async pace(signal = null) {
+        await setTimeout(this.getDelay(), undefined, { signal: signal || undefined });
+    }
+
+    /**
+     * Wait out a pause set by backoff on any caller
+     */
+    async waitForTurn(signal = null) {
+        const wait = this.throttledUntil - Date.now();
+        if (wait > 0) {
+            await setTimeout(wait, undefined, { signal: signal || undefined });
+        }
+    }
+
+    /**
+     * Delay before retrying a refused or failed request, and hold back other callers for as long
+     * Exponential from one second with full jitter, or the Retry-After the API asked for
+     * @param {number} attempt - The attempt that failed, from 1
+     * @param {string|null} retryAfter - Retry-After header, in seconds
+     * @returns {number} - Milliseconds
+     */
+    backoff(attempt, retryAfter = null) {
+        const requested = parseInt(retryAfter) * 1000;
+        const exponential = Math.min(this.maxBackoffMs, 1000 * 2 ** (attempt - 1));
+        const delay = requested > 0
+            ? Math.min(this.maxBackoffMs, requested)
+            : Math.round(exponential / 2 + Math.random() * exponential / 2);
+
+        this.retries++;
+        this.lastThrottledAt = new Date();
+        this.throttledUntil = Math.max(this.throttledUntil, Date.now() + delay);
+        return delay;
+    }
+
+    getStatus() {
+        return {
+            limit: this.limit,
+            remaining: this.remaining,
+            used: this.used,
+            updatedAt: this.updatedAt,
+            delayMs: this.getDelay(),
+            throttledUntil: this.throttledUntil > Date.now() ? new Date(this.throttledUntil) : null,
+            lastThrottledAt: this.lastThrottledAt,
+            retries: this.retries
+        };
+    }
+}
+
+export default RateLimiter;
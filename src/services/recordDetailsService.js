@@ -0,0 +1,181 @@
+import db from '../database/db.js';
+import discogsService from './discogsService.js';
+import { cleanArtistName } from '../common/artistCredits.js';
+
+/**
+ * Record Details Service
+ * Stores the full Discogs release behind each record: tracklist, credits, identifiers and labels
+ * The collection listing only has a summary, so each release is fetched once and kept until refreshed
+ */
+class RecordDetailsService {
+    /**
+     * Fetch and store details for releases that don't have them yet
+     * Releases are fetched one at a time, discogsService paces each request under the rate limit
+     * @param {Array} records - Transformed records
+     * @param {Object} options - { signal }
+     */
+    async fetchMissing(records, { signal = null } = {}) {
+        const releaseIds = [...new Set(records.map(record => record.external_id).filter(Boolean))];
+        if (releaseIds.length === 0) {
+            return;
+        }
+
+        const result = await db.query('SELECT release_id FROM record_details WHERE release_id = ANY($1)', [releaseIds]);
+        const fetched = new Set(result.rows.map(row => row.release_id));
+        const missing = releaseIds.filter(id => !fetched.has(id));
+
+        if (missing.length === 0) {
+            return;
+        }
+
+        console.log(`Fetching release details for ${missing.length} records...`);
+        let failed = 0;
+
+        for (let i = 0; i < missing.length; i++) {
+            signal?.throwIfAborted();
+
+            try {
+                const release = await discogsService.getRelease(missing[i], signal);
+                await this.saveRelease(release);
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                // Details are fetched again on the next sync, so don't fail this one
+                failed++;
+                console.error(`Failed to fetch release details for ${missing[i]}:`, error.message);
+            }
+
+            if ((i + 1) % 50 === 0) {
+                console.log(`Fetched release details ${i + 1}/${missing.length}`);
+            }
+        }
+
+        console.log(`Fetched release details for ${missing.length - failed} records, ${failed} failed`);
+    }
+
+    /**
+     * Replace the stored details of a release with a full release response
+     * @param {Object} release - Response from discogsService.getRelease
+     */
+    async saveRelease(release) {
+        const releaseId = release.id.toString();
+
+        await db.transaction(async (client) => {
+            await client.query(`
+                INSERT INTO record_details (release_id, notes, fetched_at)
+                VALUES ($1, $2, CURRENT_TIMESTAMP)
+                ON CONFLICT (release_id)
+                DO UPDATE SET notes = EXCLUDED.notes, fetched_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            `, [releaseId, release.notes?.trim() || null]);
+
+            for (const table of ['record_tracks', 'record_credits', 'record_identifiers', 'record_labels']) {
+                await client.query(`DELETE FROM ${table} WHERE release_id = $1`, [releaseId]);
+            }
+
+            for (const [index, track] of this.parseTracks(release).entries()) {
+                await client.query(`
+                    INSERT INTO record_tracks (release_id, position, track_type, title, duration, sort_order)
+                    VALUES ($1, $2, $3, $4, $5, $6)
+                `, [releaseId, track.position, track.track_type, track.title, track.duration, index]);
+            }
+
+            for (const [index, credit] of this.parseCredits(release).entries()) {
+                await client.query(`
+                    INSERT INTO record_credits (release_id, artist_id, name, anv, role, tracks, sort_order)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7)
+                `, [releaseId, credit.artist_id, credit.name, credit.anv, credit.role, credit.tracks, index]);
+            }
+
+            for (const [index, identifier] of (release.identifiers || []).entries()) {
+                await client.query(`
+                    INSERT INTO record_identifiers (release_id, type, value, description, sort_order)
+                    VALUES ($1, $2, $3, $4, $5)
+                `, [releaseId, identifier.type, identifier.value || null, identifier.description || null, index]);
+            }
+
+            for (const [index, label] of (release.labels || []).entries()) {
+                await client.query(`
+                    INSERT INTO record_labels (release_id, label_id, name, catalog_number, sort_order)
+                    VALUES ($1, $2, $3, $4, $5)
+                `, [releaseId, label.id?.toString() || null, label.name, label.catno || null, index]);
+            }
+        });
+    }
+
+    parseTracks(release) {
+        return this.flattenTracklist(release.tracklist).map(track => ({
+            position: track.position || null,
+            track_type: track.type_ || 'track',
+            title: track.title || null,
+            duration: track.duration || null
+        }));
+    }
+
+    /**
+     * Release credits followed by credits given on individual tracks
+     */
+    parseCredits(release) {
+        const toCredit = (artist, tracks) => ({
+            artist_id: artist.id ? artist.id.toString() : null,
+            name: artist.name,
+            anv: artist.anv || null,
+            role: artist.role || null,
+            tracks: tracks || null
+        });
+
+        const credits = (release.extraartists || []).map(artist => toCredit(artist, artist.tracks));
+
+        for (const track of this.flattenTracklist(release.tracklist)) {
+            for (const artist of track.extraartists || []) {
+                credits.push(toCredit(artist, track.position));
+            }
+        }
+
+        return credits;
+    }
+
+    /**
+     * Tracks in order, with the sub tracks of an index track listed after it
+     */
+    flattenTracklist(tracklist) {
+        return (tracklist || []).flatMap(track => [track, ...(track.sub_tracks || [])]);
+    }
+
+    /**
+     * Stored details of a release
+     * @param {string} releaseId - Discogs release ID
+     * @returns {Promise<Object|null>} - Null if the release hasn't been fetched yet
+     */
+    async getDetails(releaseId) {
+        const details = await db.findOne('record_details', { release_id: releaseId });
+        if (!details) {
+            return null;
+        }
+
+        const [tracklist, credits, identifiers, labels] = await Promise.all([
+            db.findMany('record_tracks', { release_id: releaseId }, 'sort_order'),
+            db.findMany('record_credits', { release_id: releaseId }, 'sort_order'),
+            db.findMany('record_identifiers', { release_id: releaseId }, 'sort_order'),
+            db.findMany('record_labels', { release_id: releaseId }, 'sort_order')
+        ]);
+
+        return {
+            notes: details.notes,
+            fetchedAt: details.fetched_at,
+            tracklist: tracklist.map(({ position, track_type, title, duration }) => ({ position, type: track_type, title, duration })),
+            // Credits are stored as Discogs sends them, disambiguators are dropped for display
+            credits: credits.map(({ artist_id, name, anv, role, tracks }) => ({
+                artistId: artist_id,
+                name: cleanArtistName(name),
+                anv: cleanArtistName(anv) || null,
+                role,
+                tracks
+            })),
+            identifiers: identifiers.map(({ type, value, description }) => ({ type, value, description })),
+            labels: labels.map(({ label_id, name, catalog_number }) => ({ labelId: label_id, name, catalogNumber: catalog_number }))
+        };
+    }
+}
+
+export default new RecordDetailsService();
@@ -0,0 +1,159 @@
+import config from '../config/index.js';
+import discogsService from './discogsService.js';
+import { getConditionGrade, getConditionValues, meetsCondition } from '../common/conditionGrades.js';
+
+// Discogs creates these two dropdown fields for every collection and they can't be deleted
+const MEDIA_CONDITION_FIELD_ID = 1;
+const SLEEVE_CONDITION_FIELD_ID = 2;
+
+/**
+ * Record Field Service
+ * Reads the user's Discogs collection fields (media and sleeve condition and custom fields)
+ * and decides which of them are shown publicly
+ */
+class RecordFieldService {
+    constructor() {
+        this.publicFields = config.discogs.publicFields;
+    }
+
+    /**
+     * Names of the user's collection fields
+     * @param {AbortSignal|null} signal
+     * @returns {Promise<Map>} - Field ID to field name
+     */
+    async getFieldNames(signal = null) {
+        const response = await discogsService.getCollectionFields(signal);
+        return new Map((response.fields || []).map(field => [field.id, field.name]));
+    }
+
+    /**
+     * Copy a collection item's field values onto it as media_condition, sleeve_condition
+     * and custom_fields, for transformToRecord to pick up
+     * @param {Object} item - Raw collection item with its notes array
+     * @param {Map} fieldNames - From getFieldNames
+     */
+    applyFields(item, fieldNames) {
+        item.media_condition = null;
+        item.sleeve_condition = null;
+        item.custom_fields = {};
+
+        for (const note of item.notes || []) {
+            const value = typeof note.value === 'string' ? note.value.trim() : note.value;
+            if (value === '' || value === null || value === undefined) {
+                continue;
+            }
+
+            if (note.field_id === MEDIA_CONDITION_FIELD_ID) {
+                item.media_condition = value;
+            } else if (note.field_id === SLEEVE_CONDITION_FIELD_ID) {
+                item.sleeve_condition = value;
+            } else {
+                item.custom_fields[fieldNames.get(note.field_id) || `Field ${note.field_id}`] = value;
+            }
+        }
+
+        return item;
+    }
+
+    /**
+     * Whether DISCOGS_PUBLIC_FIELDS lists the field
+     * @param {string} name - Field name, e.g. 'Media Condition'
+     */
+    isPublic(name) {
+        return this.publicFields.includes('*') || this.publicFields.includes(name.toLowerCase());
+    }
+
+    /**
+     * A records row with the fields that aren't public left out
+     */
+    toPublic(record) {
+        const customFields = typeof record.custom_fields === 'string'
+            ? JSON.parse(record.custom_fields)
+            : (record.custom_fields || {});
+
+        return {
+            ...record,
+            media_condition: this.isPublic('Media Condition') ? record.media_condition : null,
+            sleeve_condition: this.isPublic('Sleeve Condition') ? record.sleeve_condition : null,
+            custom_fields: Object.fromEntries(Object.entries(customFields).filter(([name]) => this.isPublic(name)))
+        };
+    }
+
+    /**
+     * An item_history diff of a records row with the fields that aren't public left out
+     * @param {Object|null} changes - { field: { from, to } }
+     * @returns {Object|null} - Public changes, empty when only private fields changed
+     */
+    toPublicChanges(changes) {
+        if (!changes) {
+            return changes;
+        }
+
+        const publicChanges = {};
+        for (const [field, change] of Object.entries(changes)) {
+            if (field === 'custom_fields') {
+                const from = this.toPublic({ custom_fields: change.from }).custom_fields;
+                const to = this.toPublic({ custom_fields: change.to }).custom_fields;
+                if (JSON.stringify(from) !== JSON.stringify(to)) {
+                    publicChanges.custom_fields = { from, to };
+                }
+            } else if ((field !== 'media_condition' || this.isPublic('Media Condition')) && (field !== 'sleeve_condition' || this.isPublic('Sleeve Condition'))) {
+                publicChanges[field] = change;
+            }
+        }
+        return publicChanges;
+    }
+
+    /**
+     * Why the minCondition and minSleeveCondition query parameters can't be used, if they can't
+     * @param {Object} query - Request query
+     * @returns {string|null} - Error message
+     */
+    getConditionFilterError({ minCondition, minSleeveCondition }) {
+        for (const [value, field] of [[minCondition, 'Media Condition'], [minSleeveCondition, 'Sleeve Condition']]) {
+            if (!value) {
+                continue;
+            }
+            if (!getConditionGrade(value)) {
+                return `Unknown condition grade: ${value}`;
+            }
+            if (!this.isPublic(field)) {
+                return `${field} is not public`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * SQL conditions applying minCondition and minSleeveCondition like filterByCondition,
+     * so they narrow a query before its LIMIT
+     * @param {Object} query - Request query, checked with getConditionFilterError first
+     * @param {Array} values - Query parameters so far, the accepted grades are appended
+     * @returns {Array<string>} - WHERE conditions
+     */
+    getConditionClauses({ minCondition, minSleeveCondition }, values) {
+        const clauses = [];
+        for (const [minimum, column] of [[minCondition, 'media_condition'], [minSleeveCondition, 'sleeve_condition']]) {
+            if (!minimum) {
+                continue;
+            }
+            values.push(getConditionValues(minimum));
+            clauses.push(`UPPER(TRIM(${column})) = ANY($${values.length}::text[])`);
+        }
+        return clauses;
+    }
+
+    /**
+     * Records graded at least minCondition (media) and minSleeveCondition (sleeve)
+     * @param {Array} records - Records rows
+     * @param {Object} query - Request query, checked with getConditionFilterError first
+     */
+    filterByCondition(records, { minCondition, minSleeveCondition }) {
+        return records.filter(record =>
+            (!minCondition || meetsCondition(record.media_condition, minCondition)) &&
+            (!minSleeveCondition || meetsCondition(record.sleeve_condition, minSleeveCondition))
+        );
+    }
+}
+
+export default new RecordFieldService();
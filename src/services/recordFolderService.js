@@ -0,0 +1,82 @@
+import config from '../config/index.js';
+import db from '../database/db.js';
+import discogsService from './discogsService.js';
+
+/**
+ * Record Folder Service
+ * Keeps the user's Discogs collection folders, and which of them are shown as sub-shelves
+ */
+class RecordFolderService {
+    constructor() {
+        this.publicFolders = config.discogs.publicFolders;
+    }
+
+    /**
+     * Replace the stored folders with the user's current folders
+     * @param {Object} options - { signal }
+     * @returns {Promise<Array>} - Folders as stored
+     */
+    async syncFolders({ signal = null } = {}) {
+        const response = await discogsService.getCollectionFolders(signal);
+        // Folder 0 is Discogs' "All" view of the collection rather than a folder of its own
+        const folders = (response.folders || []).filter(folder => folder.id !== 0);
+        const usedSlugs = new Set();
+
+        const rows = folders.map(folder => {
+            let slug = this.slugify(folder.name) || `folder-${folder.id}`;
+            if (usedSlugs.has(slug)) {
+                slug = `${slug}-${folder.id}`;
+            }
+            usedSlugs.add(slug);
+
+            return { folder_id: folder.id, name: folder.name, slug, record_count: folder.count || 0 };
+        });
+
+        // Replace rather than upsert, a renamed folder may take a slug another folder had
+        await db.transaction(async (client) => {
+            await client.query('DELETE FROM record_folders');
+            for (const row of rows) {
+                await client.query(`
+                    INSERT INTO record_folders (folder_id, name, slug, record_count)
+                    VALUES ($1, $2, $3, $4)
+                `, [row.folder_id, row.name, row.slug, row.record_count]);
+            }
+        });
+
+        console.log(`Synced ${rows.length} Discogs collection folders`);
+        return rows;
+    }
+
+    slugify(name) {
+        return (name || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Whether DISCOGS_PUBLIC_FOLDERS lists the folder by name, slug or ID
+     */
+    isPublic(folder) {
+        return this.publicFolders.includes('*') ||
+            this.publicFolders.includes(folder.name.toLowerCase()) ||
+            this.publicFolders.includes(folder.slug) ||
+            this.publicFolders.includes(folder.folder_id.toString());
+    }
+
+    async getPublicFolders() {
+        const folders = await db.findMany('record_folders', {}, 'name');
+        return folders.filter(folder => this.isPublic(folder));
+    }
+
+    /**
+     * A public folder by its slug
+     * @returns {Promise<Object|null>} - Null if there is no such folder or it isn't public
+     */
+    async getPublicFolder(slug) {
+        const folder = await db.findOne('record_folders', { slug });
+        return folder && this.isPublic(folder) ? folder : null;
+    }
+}
+
+export default new RecordFolderService();
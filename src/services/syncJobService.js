@@ -0,0 +1,163 @@
+import { randomUUID } from 'crypto';
+import { setTimeout } from 'timers/promises';
+import syncService from './syncService.js';
+
+/**
+ * Sync Job Service
+ * Queues manual syncs so API requests can return immediately and be polled for progress
+ */
+class SyncJobService {
+    constructor() {
+        this.jobs = new Map();
+        this.queue = [];
+        this.processing = false;
+        this.maxJobs = 50; // Finished jobs beyond this are forgotten, oldest first
+
+        // Sync progress is reported by service, so route it to that service's running job
+        syncService.on('progress', (progress) => {
+            const job = this.getRunningJob(progress.service);
+            if (job) {
+                job.runId = progress.runId;
+                job.phase = progress.phase;
+                job.percent = progress.percent;
+                job.counts = progress.counts;
+            }
+        });
+    }
+
+    /**
+     * Queue a sync, or return the job already queued or running for that service
+     * @param {string} service - Provider name, e.g. 'discogs'
+     * @param {Object} options - Sync options, e.g. { mode: 'full' }
+     * @returns {Object} - The job
+     */
+    enqueue(service, options = {}) {
+        const pending = Array.from(this.jobs.values()).find(job =>
+            job.service === service && (job.status === 'queued' || job.status === 'running')
+        );
+        if (pending) {
+            return pending;
+        }
+
+        const job = {
+            id: randomUUID(),
+            service,
+            options,
+            status: 'queued',
+            phase: null,
+            percent: 0,
+            runId: null,
+            counts: null,
+            error: null,
+            createdAt: new Date(),
+            startedAt: null,
+            finishedAt: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.pruneJobs();
+
+        this.processQueue().catch(error => {
+            console.error('Sync job queue failed:', error);
+        });
+
+        return job;
+    }
+
+    /**
+     * Run queued jobs one at a time
+     */
+    async processQueue() {
+        if (this.processing) {
+            return;
+        }
+
+        this.processing = true;
+        try {
+            while (this.queue.length > 0) {
+                // Wait for any periodic sync to finish rather than failing the job, leaving the
+                // job queued meanwhile so it can still be cancelled
+                while (syncService.isRunning) {
+                    await setTimeout(1000);
+                }
+
+                const job = this.queue.shift();
+                if (!job) {
+                    break;
+                }
+
+                await this.runJob(job);
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async runJob(job) {
+        job.status = 'running';
+        job.startedAt = new Date();
+        console.log(`Starting sync job ${job.id} for ${job.service}`);
+
+        try {
+            await syncService.syncManually(job.service, job.options.mode || null);
+
+            job.status = 'completed';
+            job.phase = 'completed';
+            job.percent = 100;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log(`Sync job ${job.id} cancelled`);
+                job.status = 'cancelled';
+            } else {
+                console.error(`Sync job ${job.id} failed:`, error.message);
+                job.status = 'failed';
+                job.error = error.message;
+            }
+        } finally {
+            job.finishedAt = new Date();
+        }
+    }
+
+    /**
+     * Cancel queued jobs that haven't started yet
+     * @param {string|null} service - Service to cancel, or null for all
+     * @returns {Array} - The cancelled jobs
+     */
+    cancelQueued(service = null) {
+        const cancelled = this.queue.filter(job => !service || job.service === service);
+        this.queue = this.queue.filter(job => !cancelled.includes(job));
+
+        for (const job of cancelled) {
+            job.status = 'cancelled';
+            job.finishedAt = new Date();
+        }
+
+        return cancelled;
+    }
+
+    getJob(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    getRunningJob(service) {
+        return Array.from(this.jobs.values()).find(job =>
+            job.service === service && job.status === 'running'
+        ) || null;
+    }
+
+    /**
+     * Forget the oldest finished jobs once there are more than maxJobs
+     */
+    pruneJobs() {
+        const finished = Array.from(this.jobs.values())
+            .filter(job => ['completed', 'failed', 'cancelled'].includes(job.status));
+
+        const excess = this.jobs.size - this.maxJobs;
+        for (const job of finished.slice(0, Math.max(0, excess))) {
+            this.jobs.delete(job.id);
+        }
+    }
+}
+
+export default new SyncJobService();
@@ -0,0 +1,130 @@
+import config from '../config/index.js';
+import db from '../database/db.js';
+import cachedDb from './cachedDbService.js';
+
+/**
+ * Sync Lock Service
+ * Leases a per-service lock on the sync_status row so only one process syncs a service at a time
+ */
+class SyncLockService {
+    constructor() {
+        this.instanceId = config.sync.instanceId;
+        this.ttlMs = config.sync.lockTtlMs;
+        this.heartbeats = new Map(); // service -> renewal interval for locks this process holds
+    }
+
+    /**
+     * Try to take the lock for a service, taking over an expired lock left by a crashed process
+     * The lock is renewed in the background until release() is called
+     * @param {string} service - Sync service name
+     * @param {Function} onLost - Called if a renewal finds the lock is no longer ours
+     * @returns {Promise<Object>} - { acquired, holder, expiresAt }
+     */
+    async acquire(service, onLost = () => {}) {
+        // Expiry is compared against the database clock so instances with skewed clocks agree
+        const result = await db.query(`
+            WITH previous AS (
+                SELECT service, locked_by, lock_expires_at
+                FROM sync_status
+                WHERE service = $1
+                FOR UPDATE
+            )
+            UPDATE sync_status
+            SET locked_by = $2,
+                locked_at = CURRENT_TIMESTAMP,
+                lock_expires_at = CURRENT_TIMESTAMP + ($3::integer * INTERVAL '1 millisecond')
+            FROM previous
+            WHERE sync_status.service = previous.service
+            AND (previous.locked_by IS NULL OR previous.lock_expires_at < CURRENT_TIMESTAMP)
+            RETURNING previous.locked_by AS previous_holder, sync_status.lock_expires_at
+        `, [service, this.instanceId, this.ttlMs]);
+
+        if (result.rows.length === 0) {
+            const status = await db.findOne('sync_status', { service });
+            return {
+                acquired: false,
+                holder: status?.locked_by || null,
+                expiresAt: status?.lock_expires_at || null
+            };
+        }
+
+        const { previous_holder: previousHolder, lock_expires_at: expiresAt } = result.rows[0];
+        if (previousHolder) {
+            console.warn(`Took over expired ${service} sync lock from ${previousHolder}`);
+        }
+
+        this.startHeartbeat(service, onLost);
+        cachedDb.invalidateTable('sync_status');
+
+        return { acquired: true, holder: this.instanceId, expiresAt };
+    }
+
+    /**
+     * Push the lock expiry forward while the sync runs
+     * @returns {Promise<boolean>} - False if the lock was taken over or released elsewhere
+     */
+    async renew(service) {
+        const result = await db.query(`
+            UPDATE sync_status
+            SET lock_expires_at = CURRENT_TIMESTAMP + ($3::integer * INTERVAL '1 millisecond')
+            WHERE service = $1 AND locked_by = $2
+        `, [service, this.instanceId, this.ttlMs]);
+
+        return result.rowCount > 0;
+    }
+
+    startHeartbeat(service, onLost) {
+        this.stopHeartbeat(service);
+
+        const interval = setInterval(async () => {
+            try {
+                if (!await this.renew(service)) {
+                    console.error(`Lost ${service} sync lock to another instance`);
+                    this.stopHeartbeat(service);
+                    onLost();
+                }
+            } catch (error) {
+                // Keep trying; the lock only lapses if renewals keep failing past the TTL
+                console.error(`Failed to renew ${service} sync lock:`, error.message);
+            }
+        }, Math.max(1000, Math.floor(this.ttlMs / 3)));
+
+        this.heartbeats.set(service, interval);
+    }
+
+    stopHeartbeat(service) {
+        const interval = this.heartbeats.get(service);
+        if (interval) {
+            clearInterval(interval);
+            this.heartbeats.delete(service);
+        }
+    }
+
+    /**
+     * Release a lock held by this process
+     */
+    async release(service) {
+        this.stopHeartbeat(service);
+
+        try {
+            await db.query(`
+                UPDATE sync_status
+                SET locked_by = NULL, locked_at = NULL, lock_expires_at = NULL
+                WHERE service = $1 AND locked_by = $2
+            `, [service, this.instanceId]);
+            cachedDb.invalidateTable('sync_status');
+        } catch (error) {
+            // The lock will expire on its own once renewals stop
+            console.error(`Failed to release ${service} sync lock:`, error.message);
+        }
+    }
+
+    /**
+     * Release every lock this process holds, e.g. on shutdown
+     */
+    async releaseAll() {
+        await Promise.all(Array.from(this.heartbeats.keys()).map(service => this.release(service)));
+    }
+}
+
+export default new SyncLockService();
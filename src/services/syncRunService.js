@@ -0,0 +1,140 @@
+import db from '../database/db.js';
+
+/**
+ * Sync Run Service
+ * Persists a log of every sync attempt with counts and item-level failure reasons
+ */
+class SyncRunService {
+    constructor() {
+        this.maxRunsPerService = 100; // Older runs are pruned when a new run finishes
+    }
+
+    /**
+     * Start a new run and return a tracker that the sync updates as it goes
+     * @param {string} service - Sync service name ('discogs', 'boardgamegeek')
+     * @param {string} mode - 'full' or 'incremental'
+     * @returns {Promise<Object>} - Run tracker with id, service, mode, startedAt and counts
+     */
+    async startRun(service, mode) {
+        const row = await db.insert('sync_runs', {
+            service,
+            mode,
+            status: 'running',
+            started_at: new Date()
+        });
+
+        return {
+            id: row.id,
+            service,
+            mode,
+            startedAt: row.started_at,
+            counts: {
+                fetched: 0,
+                inserted: 0,
+                updated: 0,
+                failed: 0,
+                removed: 0
+            }
+        };
+    }
+
+    /**
+     * Record an item that failed to sync
+     * @param {Object} run - Run tracker from startRun
+     * @param {Object} item - The transformed item that failed
+     * @param {string} reason - Why it failed
+     */
+    async recordFailure(run, item, reason) {
+        run.counts.failed++;
+        await this.recordItemOutcome(run, item, 'failed', reason);
+    }
+
+    /**
+     * Record an item that was removed because the source no longer returns it
+     */
+    async recordRemoval(run, item) {
+        run.counts.removed++;
+        await this.recordItemOutcome(run, item, 'removed', 'No longer in source collection or wishlist');
+    }
+
+    async recordItemOutcome(run, item, outcome, reason) {
+        try {
+            await db.insert('sync_run_items', {
+                run_id: run.id,
+                external_id: item.external_id || null,
+                title: item.title || item.name || null,
+                outcome,
+                reason
+            });
+        } catch (error) {
+            // Losing a log line should never fail the sync itself
+            console.error(`Failed to record ${outcome} item for sync run ${run.id}:`, error.message);
+        }
+    }
+
+    /**
+     * Persist the final status and counts of a run
+     * @param {Object} run - Run tracker from startRun
+     * @param {string} status - 'completed', 'failed' or 'cancelled'
+     * @param {string|null} errorMessage - Error that ended the run, if any
+     */
+    async finishRun(run, status, errorMessage = null) {
+        try {
+            await db.update('sync_runs', {
+                status,
+                finished_at: new Date(),
+                items_fetched: run.counts.fetched,
+                items_inserted: run.counts.inserted,
+                items_updated: run.counts.updated,
+                items_failed: run.counts.failed,
+                items_removed: run.counts.removed,
+                error_message: errorMessage
+            }, { id: run.id });
+
+            await this.pruneRuns(run.service);
+        } catch (error) {
+            console.error(`Failed to finish sync run ${run.id}:`, error.message);
+        }
+    }
+
+    /**
+     * Keep only the most recent runs for a service
+     */
+    async pruneRuns(service) {
+        await db.query(`
+            DELETE FROM sync_runs
+            WHERE service = $1
+            AND id NOT IN (
+                SELECT id FROM sync_runs
+                WHERE service = $1
+                ORDER BY started_at DESC
+                LIMIT $2
+            )
+        `, [service, this.maxRunsPerService]);
+    }
+
+    /**
+     * List recent runs, newest first
+     * @param {Object} options - Optional service filter and limit
+     */
+    async getRuns({ service = null, limit = 20 } = {}) {
+        const conditions = service ? { service } : {};
+        return await db.findMany('sync_runs', conditions, 'started_at DESC', limit);
+    }
+
+    /**
+     * Get a single run with its item-level outcomes
+     * @returns {Promise<Object|null>} - The run with an items array, or null if not found
+     */
+    async getRun(id) {
+        const run = await db.findOne('sync_runs', { id });
+        if (!run) {
+            return null;
+        }
+
+        run.items = await db.findMany('sync_run_items', { run_id: id }, 'id');
+        return run;
+    }
+}
+
+export default new SyncRunService();
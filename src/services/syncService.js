@@ -1,27 +1,33 @@
+import { EventEmitter } from 'events';
+import { setTimeout } from 'timers/promises';
 import config from '../config/index.js';
 import db from '../database/db.js';
 import cachedDb from './cachedDbService.js';
-import discogsService from './discogsService.js';
-import boardGameGeekService from './boardGameGeekService.js';
-
-class SyncService {
+import imageService from './imageService.js';
+import syncRunService from './syncRunService.js';
+import syncLockService from './syncLockService.js';
+import webhookService from './webhookService.js';
+import acquisitionService from './acquisitionService.js';
+import itemHistoryService from './itemHistoryService.js';
+import providerRegistry from '../providers/index.js';
+
+/**
+ * Sync Service
+ * Emits 'progress', 'complete' and 'failed' events while syncs run
+ */
+class SyncService extends EventEmitter {
     constructor() {
+        super();
         this.syncInterval = null;
         this.isRunning = false;
+        this.isStopped = false;
+        this.abortControllers = new Map(); // service -> AbortController for the running sync
     }
 
     async performInitialSync() {
         console.log('Starting initial data sync...');
 
-        const syncPromises = [];
-
-        if (config.features.recordsEnabled) {
-            syncPromises.push(this.syncRecords());
-        }
-
-        if (config.features.boardGamesEnabled) {
-            syncPromises.push(this.syncBoardGames());
-        }
+        const syncPromises = providerRegistry.getEnabled().map(provider => this.syncProvider(provider));
 
         await Promise.allSettled(syncPromises);
         console.log('Initial sync completed');
@@ -42,6 +48,10 @@ class SyncService {
     }
 
     async performSync() {
+        if (this.isStopped) {
+            return;
+        }
+
         if (this.isRunning) {
             console.log('Sync already in progress, skipping...');
             return;
@@ -51,15 +61,7 @@ class SyncService {
         console.log('Starting periodic sync...');
 
         try {
-            const syncPromises = [];
-
-            if (config.features.recordsEnabled) {
-                syncPromises.push(this.syncRecords());
-            }
-
-            if (config.features.boardGamesEnabled) {
-                syncPromises.push(this.syncBoardGames());
-            }
+            const syncPromises = providerRegistry.getEnabled().map(provider => this.syncProvider(provider));
 
             await Promise.allSettled(syncPromises);
             console.log('Periodic sync completed');
@@ -70,143 +72,449 @@ class SyncService {
         }
     }
 
-    async syncRecords() {
-        console.log('Syncing records from Discogs...');
+    /**
+     * Sync a shelf from its source provider
+     * @param {SourceProvider} provider - Registered provider to sync
+     * @param {string|null} requestedMode - 'full', 'incremental', or null to let the provider decide
+     */
+    async syncProvider(provider, requestedMode = null) {
+        const signal = await this.beginSync(provider.name);
+        let run = null;
 
         try {
-            await this.updateSyncStatus('discogs', true);
+            // Read past the cache, another instance may have finished a sync since we last looked
+            const status = await db.findOne('sync_status', { service: provider.name });
+            // Synced tables are recreated empty on start while sync_status is kept, so an empty
+            // shelf has nothing to be incremental against
+            const shelfEmpty = (await db.query(`SELECT 1 FROM ${provider.table} LIMIT 1`)).rows.length === 0;
+            const mode = shelfEmpty ? 'full' : provider.getSyncMode(status, requestedMode);
+            run = await syncRunService.startRun(provider.name, mode);
+
+            console.log(`Syncing ${provider.shelf} from ${provider.sourceName} (${mode}, run ${run.id})...`);
+
+            await this.updateSyncStatus(provider.name, true, null, run);
 
             // Fetch collection and wishlist
-            console.log('Fetching items from Discogs API...');
+            this.reportProgress(run, 'fetching', 0);
             const [collectionItems, wishlistItems] = await Promise.all([
-                discogsService.getAllCollectionItems(),
-                discogsService.getAllWantlistItems()
+                provider.fetchCollection({ status, mode, signal }),
+                provider.fetchWishlist({ signal })
             ]);
-            
-            console.log(`Fetched ${collectionItems.length} collection items and ${wishlistItems.length} wishlist items`);
 
-            // Transform and upsert collection items with parallel processing
-            console.log(`Processing ${collectionItems.length} collection items...`);
-            await this.processRecordsInParallel(collectionItems, false);
+            console.log(`Fetched ${collectionItems.length} collection items and ${wishlistItems.length} wishlist items from ${provider.sourceName}`);
+            run.counts.fetched = collectionItems.length + wishlistItems.length;
 
-            // Transform and upsert wishlist items with parallel processing
-            console.log(`Processing ${wishlistItems.length} wishlist items...`);
-            await this.processRecordsInParallel(wishlistItems, true);
+            // Merge both lists so an item on the collection and the wishlist keeps both flags
+            let items = this.mergeShelfItems(
+                collectionItems.map(item => provider.transform(item, false)),
+                wishlistItems.map(item => provider.transform(item, true))
+            );
+
+            // Incremental runs only see newly added collection items, so keep the collection
+            // flags we already know about and skip items whose shelf flags haven't changed
+            const existingRows = await this.getExistingRows(provider.table);
+            if (mode === 'incremental') {
+                items = items.filter(item => {
+                    const known = existingRows.get(item.external_id);
+                    if (!known) {
+                        return true;
+                    }
+
+                    item.in_collection = item.in_collection || known.in_collection;
+                    return known.in_collection !== item.in_collection || known.in_wishlist !== item.in_wishlist;
+                });
+            }
 
-            await this.updateSyncStatus('discogs', false, null);
-            console.log(`Records sync completed: ${collectionItems.length} collection, ${wishlistItems.length} wishlist`);
+            // Add detail the collection listing doesn't include
+            this.reportProgress(run, 'enriching', 10);
+            const enrichedItems = await provider.enrich(items, { signal });
+
+            // Download images and upsert
+            console.log(`Processing ${enrichedItems.length} ${provider.shelf}...`);
+            this.reportProgress(run, 'processing', 30);
+            await this.processItems(provider, enrichedItems, run, existingRows, signal);
+
+            // Removals can only be detected when the whole collection was fetched
+            if (mode === 'full') {
+                signal.throwIfAborted();
+                this.reportProgress(run, 'reconciling', 95);
+                await this.reconcileRemovals(provider, items, run);
+            }
+
+            this.reportProgress(run, 'finishing', 97);
+            await this.runAfterSync(provider, { mode, items: enrichedItems, run, signal });
+
+            await this.completeRun(run);
+            console.log(`${provider.sourceName} sync completed (${mode}): ${collectionItems.length} collection, ${wishlistItems.length} wishlist, ${run.counts.removed} removed, ${run.counts.failed} failed`);
 
         } catch (error) {
-            console.error('Records sync failed:', error);
-            await this.updateSyncStatus('discogs', false, error.message);
+            const result = run ? await this.completeRun(run, error) : 'failed';
+            if (result === 'cancelled') {
+                console.log(`${provider.sourceName} sync cancelled (run ${run.id})`);
+            } else {
+                console.error(`${provider.sourceName} sync failed:`, error);
+            }
             throw error;
+        } finally {
+            await this.endSync(provider.name);
         }
     }
 
-    async syncBoardGames() {
-        console.log('Syncing board games from BoardGameGeek...');
-
+    /**
+     * Run the provider's post-sync work, see SourceProvider.afterSync
+     */
+    async runAfterSync(provider, context) {
         try {
-            await this.updateSyncStatus('boardgamegeek', true);
+            await provider.afterSync(context);
+        } catch (error) {
+            if (this.isCancellation(error)) {
+                throw error;
+            }
+            // The shelf itself synced fine, so don't fail the run over the extras
+            console.error(`${provider.sourceName} post-sync work failed:`, error.message);
+        }
+    }
 
-            // Fetch collection and wishlist
-            const [collectionItems, wishlistItems] = await Promise.all([
-                boardGameGeekService.getAllCollectionItems(),
-                boardGameGeekService.getAllWishlistItems()
-            ]);
+    /**
+     * Record the outcome of a run in sync_status and the run log, then emit its event
+     * @param {Object} run - Run tracker from syncRunService.startRun
+     * @param {Error|null} error - Error that ended the run, if any
+     * @returns {Promise<string>} - 'completed', 'failed' or 'cancelled'
+     */
+    async completeRun(run, error = null) {
+        let result = 'completed';
+        let errorMessage = null;
 
-            // Transform collection items
-            const collectionGames = collectionItems.map(item => 
-                boardGameGeekService.transformToBoardGame(item, false)
-            );
+        if (error) {
+            result = this.isCancellation(error) ? 'cancelled' : 'failed';
+            errorMessage = result === 'cancelled' ? 'Sync cancelled' : error.message;
+        }
 
-            // Transform wishlist items
-            const wishlistGames = wishlistItems.map(item => 
-                boardGameGeekService.transformToBoardGame(item, true)
-            );
+        await this.updateSyncStatus(run.service, false, errorMessage, run, result);
+        await syncRunService.finishRun(run, result, errorMessage);
+
+        if (result === 'completed') {
+            this.emit('complete', this.describeRun(run));
+            webhookService.emit('sync.completed', this.describeRun(run));
+        } else {
+            this.emit('failed', { ...this.describeRun(run), result, error: errorMessage });
+            if (result === 'failed') {
+                webhookService.emit('sync.failed', { ...this.describeRun(run), error: errorMessage });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Take the service's sync lock and register an abort controller so the sync can be cancelled
+     * Losing the lock to another instance cancels the sync rather than letting both write
+     * @returns {Promise<AbortSignal>} - Signal passed down to API paging and image downloads
+     */
+    async beginSync(service) {
+        // Providers registered after the schema was seeded need a row to hold their lock and status
+        await db.query('INSERT INTO sync_status (service) VALUES ($1) ON CONFLICT (service) DO NOTHING', [service]);
+
+        const controller = new AbortController();
+        const lock = await syncLockService.acquire(service, () => controller.abort());
 
-            // Enrich with detailed data (optional, can be disabled for faster sync)
-            const allGames = [...collectionGames, ...wishlistGames];
-            const enrichedGames = await boardGameGeekService.enrichGameData(allGames);
+        if (!lock.acquired) {
+            console.log(`Skipping ${service} sync, lock held by ${lock.holder} until ${lock.expiresAt}`);
+            throw new Error(`${service} sync is already running on ${lock.holder}`);
+        }
+
+        this.abortControllers.set(service, controller);
+        return controller.signal;
+    }
+
+    async endSync(service) {
+        // Release before deregistering so stop() doesn't return while the lock is still held
+        await syncLockService.release(service);
+        this.abortControllers.delete(service);
+    }
+
+    isCancellation(error) {
+        return error?.name === 'AbortError';
+    }
+
+    /**
+     * Cooperatively cancel running syncs
+     * Paging and downloads stop at the next checkpoint; rows already written are left as they are
+     * @param {string|null} service - Service to cancel, or null for all
+     * @returns {Array} - Services that had a sync to cancel
+     */
+    cancel(service = null) {
+        const cancelled = [];
 
-            // Upsert to database with image downloading
-            for (const game of enrichedGames) {
-                const gameWithImages = await boardGameGeekService.downloadBoardGameImages(game);
-                await cachedDb.upsert('board_games', gameWithImages, ['external_id']);
+        for (const [runningService, controller] of this.abortControllers) {
+            if (!service || service === runningService) {
+                controller.abort();
+                cancelled.push(runningService);
             }
+        }
 
-            await this.updateSyncStatus('boardgamegeek', false, null);
-            console.log(`Board games sync completed: ${collectionGames.length} collection, ${wishlistGames.length} wishlist`);
+        if (cancelled.length > 0) {
+            console.log(`Cancelling sync for: ${cancelled.join(', ')}`);
+        }
 
-        } catch (error) {
-            console.error('Board games sync failed:', error);
-            await this.updateSyncStatus('boardgamegeek', false, error.message);
-            throw error;
+        return cancelled;
+    }
+
+    /**
+     * Summary of a run used as the payload of sync events
+     */
+    describeRun(run) {
+        return {
+            service: run.service,
+            runId: run.id,
+            mode: run.mode,
+            counts: { ...run.counts }
+        };
+    }
+
+    /**
+     * Emit a 'progress' event for a running sync
+     * @param {Object} run - Run tracker from syncRunService.startRun
+     * @param {string} phase - fetching, enriching, processing, reconciling or finishing
+     * @param {number} percent - Overall completion from 0 to 100
+     */
+    reportProgress(run, phase, percent) {
+        this.emit('progress', {
+            ...this.describeRun(run),
+            phase,
+            percent: Math.round(percent)
+        });
+    }
+
+    /**
+     * Count a successful upsert as an insert or an update
+     * @param {Object} run - Run tracker from syncRunService.startRun
+     * @param {Map} existingRows - Rows that existed before this sync, keyed by external ID
+     * @param {Object} item - The item that was upserted
+     */
+    countUpsert(run, existingRows, item) {
+        if (existingRows.has(item.external_id)) {
+            run.counts.updated++;
+        } else {
+            run.counts.inserted++;
+        }
+    }
+
+    /**
+     * Send item webhooks for an upserted row that is new or moved off the wishlist into the collection
+     * @param {SourceProvider} provider - Provider the item came from
+     * @param {Map} existingRows - Rows that existed before this sync, keyed by external ID
+     * @param {Object} row - The upserted row
+     */
+    notifyItemChange(provider, existingRows, row) {
+        const known = existingRows.get(row.external_id);
+
+        // Loading an empty shelf, e.g. the first sync after startup, isn't news
+        if (!known && existingRows.size > 0) {
+            webhookService.emit('item.added', this.describeItemChange(provider, row));
+        } else if (known && !known.in_collection && row.in_collection) {
+            webhookService.emit('item.moved_to_collection', this.describeItemChange(provider, row));
         }
     }
 
-    async updateSyncStatus(service, inProgress, errorMessage = null) {
+    /**
+     * Summary of an item used as the payload of item webhooks
+     */
+    describeItemChange(provider, row) {
+        return {
+            service: provider.name,
+            shelf: provider.shelf,
+            item: row
+        };
+    }
+
+    /**
+     * Every row currently in a table, keyed by external ID
+     */
+    async getExistingRows(table) {
+        const result = await db.query(`SELECT * FROM ${table}`);
+        return new Map(result.rows.map(row => [row.external_id, row]));
+    }
+
+    /**
+     * Update the sync_status row for a service
+     * @param {string} service - Sync service name
+     * @param {boolean} inProgress - Whether a sync is starting (true) or finishing (false)
+     * @param {string|null} errorMessage - Error that ended the sync, if any
+     * @param {Object} run - Run tracker; its mode and startedAt are recorded
+     * @param {string|null} result - 'completed', 'failed' or 'cancelled' when finishing
+     */
+    async updateSyncStatus(service, inProgress, errorMessage = null, run = {}, result = null) {
         const updateData = {
             sync_in_progress: inProgress,
             error_message: errorMessage
         };
 
+        if (run.mode) {
+            updateData.last_sync_mode = run.mode;
+        }
+
         if (!inProgress) {
             updateData.last_sync_at = new Date();
+            updateData.last_sync_result = result;
+
+            // Record the start time so releases added mid-sync are picked up next time
+            if (result === 'completed' && run.startedAt) {
+                updateData.last_successful_sync_at = run.startedAt;
+                if (run.mode === 'full') {
+                    updateData.last_full_sync_at = run.startedAt;
+                }
+            }
         }
 
         await cachedDb.update('sync_status', updateData, { service });
     }
 
     /**
-     * Process records in parallel with controlled concurrency
-     * @param {Array} items - Record items from API
-     * @param {boolean} isWishlist - Whether these are wishlist items
+     * Merge collection and wishlist items that share an external ID
+     * Without this the wishlist upsert would clear in_collection for items on both lists
+     * @param {Array} collectionItems - Transformed collection items
+     * @param {Array} wishlistItems - Transformed wishlist items
+     * @returns {Array} - One item per external ID with combined shelf flags
      */
-    async processRecordsInParallel(items, isWishlist) {
-        const BATCH_SIZE = 3; // Process 3 records concurrently (respects rate limits)
-        const chunks = this.chunkArray(items, BATCH_SIZE);
-        
+    mergeShelfItems(collectionItems, wishlistItems) {
+        const merged = new Map();
+
+        for (const item of [...collectionItems, ...wishlistItems]) {
+            if (!item.external_id) {
+                continue;
+            }
+
+            const existing = merged.get(item.external_id);
+            if (existing) {
+                existing.in_collection = existing.in_collection || item.in_collection;
+                existing.in_wishlist = existing.in_wishlist || item.in_wishlist;
+            } else {
+                merged.set(item.external_id, { ...item });
+            }
+        }
+
+        return Array.from(merged.values());
+    }
+
+    /**
+     * Delete rows the source no longer returns and clean up their cached art
+     * @param {SourceProvider} provider - Provider that owns the table
+     * @param {Array} fetchedItems - Every item the source returned this sync
+     * @param {Object} run - Run tracker; removals are logged against it
+     * @returns {Promise<Array>} - Rows that were removed
+     */
+    async reconcileRemovals(provider, fetchedItems, run) {
+        const { table, imageType } = provider;
+        const fetchedIds = new Set(fetchedItems.map(item => item.external_id));
+        const result = await db.query(`SELECT * FROM ${table}`);
+        const removedRows = result.rows.filter(row => !fetchedIds.has(row.external_id));
+
+        if (removedRows.length === 0) {
+            return [];
+        }
+
+        // An empty response is far more likely an API hiccup than an emptied shelf
+        if (fetchedIds.size === 0) {
+            console.warn(`Source returned no items, skipping removal of ${removedRows.length} ${table}`);
+            return [];
+        }
+
+        const removedIds = removedRows.map(row => row.external_id);
+        await db.query(`DELETE FROM ${table} WHERE external_id = ANY($1)`, [removedIds]);
+        cachedDb.invalidateTable(table);
+
+        for (const row of removedRows) {
+            await imageService.cleanupItemImages(imageType, row.external_id);
+            await syncRunService.recordRemoval(run, row);
+            await itemHistoryService.recordRemoval(table, row, run.id);
+            webhookService.emit('item.removed', this.describeItemChange(provider, row));
+        }
+
+        console.log(`Removed ${removedRows.length} ${table} no longer present in source`);
+        return removedRows;
+    }
+
+    /**
+     * Download images and upsert items in batches of the provider's batch size
+     * @param {SourceProvider} provider - Provider the items came from
+     * @param {Array} items - Transformed items with shelf flags set
+     * @param {Object} run - Run tracker from syncRunService.startRun
+     * @param {Map} existingRows - Rows that existed before this sync, keyed by external ID
+     * @param {AbortSignal} signal - Stops processing between batches and aborts in-flight downloads
+     */
+    async processItems(provider, items, run, existingRows, signal) {
+        const chunks = this.chunkArray(items, provider.batchSize);
+
         for (let i = 0; i < chunks.length; i++) {
+            signal.throwIfAborted();
             const chunk = chunks[i];
-            console.log(`Processing batch ${i + 1}/${chunks.length} (${chunk.length} records)...`);
-            
+            console.log(`Processing batch ${i + 1}/${chunks.length} (${chunk.length} ${provider.shelf})...`);
+
             // Process batch in parallel
             const promises = chunk.map(async (item) => {
                 try {
-                    const record = discogsService.transformToRecord(item, isWishlist);
-                    console.log(`Processing ${isWishlist ? 'wishlist ' : ''}record: ${record.artist} - ${record.title}, has image URL: ${!!record.cover_image_url}`);
-                    
-                    const recordWithImages = await discogsService.downloadRecordImages(record);
-                    await cachedDb.upsert('records', recordWithImages, ['external_id']);
-                    
-                    return { success: true, record: record.title };
+                    console.log(`Processing ${provider.describeItem(item)}`);
+
+                    const itemWithImages = await provider.downloadImages(item, { signal });
+                    await this.keepDateAdded(provider, existingRows, itemWithImages);
+
+                    // Don't write an item whose image downloads were cut short by a cancel
+                    signal.throwIfAborted();
+                    const row = await cachedDb.upsert(provider.table, itemWithImages, ['external_id']);
+                    this.countUpsert(run, existingRows, item);
+                    // Before recordChange, acquisitions may fall back to the item's previous history snapshot
+                    await acquisitionService.trackTransition(provider, existingRows.get(row.external_id), row);
+                    await itemHistoryService.recordChange(provider.table, existingRows.get(row.external_id), row, run.id);
+                    this.notifyItemChange(provider, existingRows, row);
+
+                    return { success: true };
                 } catch (error) {
-                    console.error(`Failed to process record:`, error.message);
+                    if (this.isCancellation(error)) {
+                        return { success: false, cancelled: true };
+                    }
+                    console.error(`Failed to process ${provider.describeItem(item)}:`, error.message);
+                    await syncRunService.recordFailure(run, item, error.message);
                     return { success: false, error: error.message };
                 }
             });
-            
+
             // Wait for batch to complete
             const results = await Promise.allSettled(promises);
-            
+            signal.throwIfAborted();
+
             // Log batch results
             const successful = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
             const failed = results.length - successful;
-            
+
             if (failed > 0) {
                 console.warn(`Batch ${i + 1} completed: ${successful} successful, ${failed} failed`);
-            } else {
-                console.log(`Batch ${i + 1} completed successfully (${successful} records)`);
             }
-            
+
+            this.reportProgress(run, 'processing', 30 + (65 * (i + 1) / chunks.length));
+
             // Small delay between batches to be respectful of APIs
-            if (i < chunks.length - 1) {
-                await new Promise(resolve => setTimeout(resolve, 1000));
+            if (provider.batchDelayMs > 0 && i < chunks.length - 1) {
+                await setTimeout(provider.batchDelayMs, undefined, { signal });
             }
         }
     }
 
+    /**
+     * Keep the date_added an item was first stored with when its source has no real date added,
+     * looking in item history when the shelf table was rebuilt on startup
+     */
+    async keepDateAdded(provider, existingRows, item) {
+        if (provider.sourceDateAdded) {
+            return;
+        }
+
+        const previous = existingRows.get(item.external_id) || await itemHistoryService.getLatestSnapshot(provider.table, item.external_id);
+        if (previous?.date_added) {
+            item.date_added = previous.date_added;
+        }
+    }
+
     /**
      * Split array into chunks
      */
@@ -218,50 +526,99 @@ class SyncService {
         return chunks;
     }
 
+    /**
+     * Sync status of every enabled provider, including which instance holds its lock
+     * Read uncached since other instances update these rows
+     */
     async getSyncStatus() {
-        return await cachedDb.findMany('sync_status');
+        const result = await db.query(`
+            SELECT *,
+                (locked_by IS NOT NULL AND lock_expires_at < CURRENT_TIMESTAMP) AS lock_stale,
+                (locked_by IS NOT NULL AND locked_by = $1) AS locked_by_this_instance
+            FROM sync_status
+        `, [syncLockService.instanceId]);
+        const statusByService = new Map(result.rows.map(row => [row.service, row]));
+
+        // A provider that has never synced has no row yet
+        return providerRegistry.getEnabled().map(provider => ({
+            ...(statusByService.get(provider.name) || { service: provider.name }),
+            shelf: provider.shelf,
+            rate_limit: provider.getRateLimitStatus()
+        }));
     }
 
-    async stop() {
+    /**
+     * Stop periodic syncs and cancel anything running, waiting briefly for it to wind down
+     * @param {number} timeoutMs - How long to wait for running syncs before giving up
+     */
+    async stop(timeoutMs = 8000) {
+        this.isStopped = true;
+
         if (this.syncInterval) {
             clearInterval(this.syncInterval);
             this.syncInterval = null;
         }
 
-        // Wait for any running sync to complete
-        while (this.isRunning) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
+        this.cancel();
+
+        // Wait for cancelled syncs to reach a checkpoint and record their outcome
+        const deadline = Date.now() + timeoutMs;
+        while (this.abortControllers.size > 0 && Date.now() < deadline) {
+            await setTimeout(250);
+        }
+
+        if (this.abortControllers.size > 0) {
+            console.warn('Sync did not stop in time, shutting down anyway');
+            await syncLockService.releaseAll();
         }
 
         console.log('Sync service stopped');
     }
 
-    // Manual sync triggers
-    async syncRecordsManually() {
+    /**
+     * Run a sync for one provider outside the periodic schedule
+     * @param {string} name - Provider name
+     * @param {string|null} mode - 'full', 'incremental', or null to let the provider decide
+     */
+    async syncManually(name, mode = null) {
+        if (this.isStopped) {
+            throw new Error('Sync service is stopped');
+        }
         if (this.isRunning) {
             throw new Error('Sync already in progress');
         }
 
+        const provider = providerRegistry.get(name);
+        if (!provider || !provider.isEnabled()) {
+            throw new Error(`Sync provider ${name} is not enabled`);
+        }
+
         this.isRunning = true;
         try {
-            await this.syncRecords();
+            await this.syncProvider(provider, mode);
         } finally {
             this.isRunning = false;
         }
     }
 
-    async syncBoardGamesManually() {
-        if (this.isRunning) {
-            throw new Error('Sync already in progress');
+    /**
+     * Re-fetch one item from its source, re-download its images and upsert it
+     * @param {SourceProvider} provider - Provider the item belongs to
+     * @param {string} externalId - The item's ID at the source
+     * @returns {Promise<Object|null>} - The refreshed row, or null if the item isn't on the shelf
+     */
+    async refreshItem(provider, externalId) {
+        const existing = await db.findOne(provider.table, { external_id: externalId });
+        if (!existing) {
+            return null;
         }
 
-        this.isRunning = true;
-        try {
-            await this.syncBoardGames();
-        } finally {
-            this.isRunning = false;
-        }
+        console.log(`Refreshing ${provider.describeItem(existing)} from ${provider.sourceName}...`);
+        const item = await provider.refreshItem(existing);
+        const row = await cachedDb.upsert(provider.table, item, ['external_id']);
+        await itemHistoryService.recordChange(provider.table, existing, row);
+        return row;
     }
 }
 
-export default new SyncService();
\ No newline at end of file
+export default new SyncService();
@@ -0,0 +1,151 @@
+import config from '../config/index.js';
+import db from '../database/db.js';
+import discogsService from './discogsService.js';
+
+/**
+ * Valuation Service
+ * Keeps a history of the Discogs collection value and the lowest marketplace price of each record
+ */
+class ValuationService {
+    constructor() {
+        this.priceRefreshIntervalMs = config.discogs.priceRefreshIntervalMs;
+    }
+
+    /**
+     * Store the collection's current minimum, median and maximum value
+     * @param {Object} options - { runId, signal }
+     * @returns {Promise<Object>} - The stored valuation
+     */
+    async recordValuation({ runId = null, signal = null } = {}) {
+        const value = await discogsService.getCollectionValue(signal);
+        const minimum = this.parseMoney(value.minimum);
+        const median = this.parseMoney(value.median);
+        const maximum = this.parseMoney(value.maximum);
+
+        const countResult = await db.query('SELECT COUNT(*) FROM records WHERE in_collection = true');
+
+        const valuation = await db.insert('collection_valuations', {
+            minimum: minimum.amount,
+            median: median.amount,
+            maximum: maximum.amount,
+            currency: median.currency || minimum.currency,
+            record_count: parseInt(countResult.rows[0].count),
+            run_id: runId
+        });
+
+        console.log(`Collection valued at ${value.minimum} to ${value.maximum} (median ${value.median})`);
+        return valuation;
+    }
+
+    /**
+     * Discogs formats values for display, e.g. "$1,234.56" or "€12.00"
+     * @returns {Object} - { amount, currency } with a null amount if the value can't be read
+     */
+    parseMoney(value) {
+        const text = (value || '').toString().trim();
+        const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+
+        return {
+            amount: isNaN(amount) ? null : amount,
+            currency: text.replace(/[0-9.,\s]/g, '') || null
+        };
+    }
+
+    /**
+     * Look up the lowest marketplace price of collection records not checked recently
+     * Prices are fetched one at a time, discogsService paces each request under the rate limit
+     * @param {Array} records - Records in the collection
+     * @param {Object} options - { signal }
+     */
+    async refreshPrices(records, { signal = null } = {}) {
+        const releaseIds = [...new Set(records.map(record => record.external_id).filter(Boolean))];
+        if (releaseIds.length === 0) {
+            return;
+        }
+
+        const result = await db.query(`
+            SELECT release_id FROM record_prices
+            WHERE release_id = ANY($1) AND checked_at > $2
+        `, [releaseIds, new Date(Date.now() - this.priceRefreshIntervalMs)]);
+        const fresh = new Set(result.rows.map(row => row.release_id));
+        const stale = releaseIds.filter(id => !fresh.has(id));
+
+        if (stale.length === 0) {
+            return;
+        }
+
+        console.log(`Checking marketplace prices for ${stale.length} records...`);
+        let failed = 0;
+
+        for (const releaseId of stale) {
+            signal?.throwIfAborted();
+
+            try {
+                const stats = await discogsService.getMarketplaceStats(releaseId, signal);
+                await db.upsert('record_prices', {
+                    release_id: releaseId,
+                    // Null when nobody is selling a copy
+                    lowest_price: stats.lowest_price?.value ?? null,
+                    currency: stats.lowest_price?.currency || null,
+                    num_for_sale: stats.num_for_sale ?? null,
+                    blocked_from_sale: Boolean(stats.blocked_from_sale),
+                    checked_at: new Date()
+                }, ['release_id']);
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                // The price stays stale and is checked again on the next sync
+                failed++;
+                console.error(`Failed to check marketplace price for ${releaseId}:`, error.message);
+            }
+        }
+
+        console.log(`Checked marketplace prices for ${stale.length - failed} records, ${failed} failed`);
+    }
+
+    /**
+     * Collection value over time, oldest first
+     * @param {Object} options - Optional since date and limit
+     */
+    async getValuations({ since = null, limit = 365 } = {}) {
+        const result = await db.query(`
+            SELECT * FROM (
+                SELECT id, minimum, median, maximum, currency, record_count, run_id, recorded_at
+                FROM collection_valuations
+                WHERE ($1::timestamptz IS NULL OR recorded_at >= $1)
+                ORDER BY recorded_at DESC
+                LIMIT $2
+            ) latest
+            ORDER BY recorded_at
+        `, [since, limit]);
+
+        // DECIMAL columns come back as strings
+        return result.rows.map(valuation => ({
+            ...valuation,
+            minimum: valuation.minimum === null ? null : parseFloat(valuation.minimum),
+            median: valuation.median === null ? null : parseFloat(valuation.median),
+            maximum: valuation.maximum === null ? null : parseFloat(valuation.maximum)
+        }));
+    }
+
+    /**
+     * Collection records with the highest lowest marketplace price
+     * @param {number} limit
+     */
+    async getMostValuable(limit = 50) {
+        const result = await db.query(`
+            SELECT records.*, record_prices.lowest_price, record_prices.currency AS price_currency,
+                   record_prices.num_for_sale, record_prices.checked_at AS price_checked_at
+            FROM records
+            JOIN record_prices ON record_prices.release_id = records.external_id
+            WHERE records.in_collection = true AND record_prices.lowest_price IS NOT NULL
+            ORDER BY record_prices.lowest_price DESC
+            LIMIT $1
+        `, [limit]);
+
+        return result.rows.map(record => ({ ...record, lowest_price: parseFloat(record.lowest_price) }));
+    }
+}
+
+export default new ValuationService();
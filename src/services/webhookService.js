@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { setTimeout } from 'timers/promises';
+import config from '../config/index.js';
+import db from '../database/db.js';
+
+export const WEBHOOK_EVENTS = [
+    'sync.completed',
+    'sync.failed',
+    'item.added',
+    'item.removed',
+    'item.moved_to_collection'
+];
+
+/**
+ * Webhook Service
+ * Sends signed JSON events to the configured endpoints, retrying failures and logging every delivery
+ */
+class WebhookService {
+    constructor() {
+        this.urls = config.webhooks.urls;
+        this.secret = config.webhooks.secret;
+        this.events = config.webhooks.events;
+        this.maxAttempts = config.webhooks.maxAttempts;
+        this.timeoutMs = config.webhooks.timeoutMs;
+        this.maxDeliveries = 1000; // Older deliveries are pruned as new ones finish
+        this.userAgent = config.discogs.userAgent;
+
+        if (this.urls.length > 0 && !this.secret) {
+            console.warn('WEBHOOK_SECRET is not set, webhooks will be sent unsigned');
+        }
+    }
+
+    isSubscribed(event) {
+        return this.urls.length > 0 && (this.events.length === 0 || this.events.includes(event));
+    }
+
+    /**
+     * Send an event to every endpoint in the background
+     * Never throws, so callers in the sync path can fire and forget
+     * @param {string} event - One of WEBHOOK_EVENTS
+     * @param {Object} data - Event body
+     */
+    emit(event, data) {
+        if (!this.isSubscribed(event)) {
+            return;
+        }
+
+        const payload = {
+            id: crypto.randomUUID(),
+            event,
+            occurredAt: new Date().toISOString(),
+            data
+        };
+
+        for (const url of this.urls) {
+            this.deliver(url, payload).catch(error => {
+                console.error(`Webhook ${event} to ${url} failed:`, error.message);
+            });
+        }
+    }
+
+    /**
+     * HMAC-SHA256 of the raw request body, hex encoded
+     */
+    sign(body) {
+        return crypto.createHmac('sha256', this.secret).update(body).digest('hex');
+    }
+
+    /**
+     * Deliver one payload to one endpoint, retrying with exponential backoff
+     * Network errors, 429 and 5xx responses are retried; other 4xx responses are not
+     */
+    async deliver(url, payload) {
+        const body = JSON.stringify(payload);
+        const delivery = await db.insert('webhook_deliveries', {
+            event_id: payload.id,
+            event: payload.event,
+            url,
+            payload: body
+        });
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': this.userAgent,
+            'X-Shelf-Event': payload.event,
+            'X-Shelf-Delivery': payload.id
+        };
+        if (this.secret) {
+            headers['X-Shelf-Signature'] = `sha256=${this.sign(body)}`;
+        }
+
+        let responseStatus = null;
+        let errorMessage = null;
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            let retryable = true;
+
+            try {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers,
+                    body,
+                    signal: AbortSignal.timeout(this.timeoutMs)
+                });
+                responseStatus = response.status;
+
+                if (response.ok) {
+                    await this.finishDelivery(delivery.id, 'delivered', attempt, responseStatus);
+                    return;
+                }
+
+                errorMessage = `Endpoint responded ${response.status} ${response.statusText}`;
+                retryable = response.status === 429 || response.status >= 500;
+            } catch (error) {
+                errorMessage = error.message;
+            }
+
+            if (!retryable || attempt === this.maxAttempts) {
+                await this.finishDelivery(delivery.id, 'failed', attempt, responseStatus, errorMessage);
+                throw new Error(errorMessage);
+            }
+
+            await db.update('webhook_deliveries', { attempts: attempt, response_status: responseStatus, error_message: errorMessage }, { id: delivery.id });
+            await setTimeout(1000 * 2 ** (attempt - 1));
+        }
+    }
+
+    async finishDelivery(id, status, attempts, responseStatus, errorMessage = null) {
+        await db.update('webhook_deliveries', {
+            status,
+            attempts,
+            response_status: responseStatus,
+            error_message: errorMessage,
+            delivered_at: status === 'delivered' ? new Date() : null
+        }, { id });
+
+        await db.query(`
+            DELETE FROM webhook_deliveries
+            WHERE id <= (SELECT id FROM webhook_deliveries ORDER BY id DESC OFFSET $1 LIMIT 1)
+        `, [this.maxDeliveries]);
+    }
+
+    /**
+     * List recent deliveries, newest first
+     * @param {Object} options - Optional event and status filters and limit
+     */
+    async getDeliveries({ event = null, status = null, limit = 50 } = {}) {
+        const conditions = {};
+        if (event) {
+            conditions.event = event;
+        }
+        if (status) {
+            conditions.status = status;
+        }
+
+        return await db.findMany('webhook_deliveries', conditions, 'created_at DESC', limit);
+    }
+}
+
+export default new WebhookService();